@@ -0,0 +1,102 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const categoryService = require('../services/categories');
+const { OVERALL_BUDGET } = require('../config/constants');
+
+const PERIOD_WORDS = {
+    week: 'weekly',
+    weekly: 'weekly',
+    month: 'monthly',
+    monthly: 'monthly',
+    year: 'yearly',
+    yearly: 'yearly',
+    annual: 'yearly',
+    annually: 'yearly'
+};
+
+function budgetName(category) {
+    return category === OVERALL_BUDGET ? 'Overall' : category;
+}
+
+module.exports = [
+    {
+        name: 'set budget',
+        // "set budget food 1500 weekly", "set budget 30000" (overall), "set budget food 5000 with rollover",
+        // "set budget food > dining out 3000"
+        patterns: [/^set budget\s+(?:(?<category>[a-z][a-z0-9 &'>-]*?)\s+)?(?:₹|rs\.?\s*)?(?<amount>[\d,]+(?:\.\d+)?)(?:\s+(?:per\s+|a\s+|every\s+)?(?<period>weekly|monthly|yearly|annually|annual|week|month|year))?(?<rollover>\s+(?:with\s+)?rollover)?$/i],
+        args: { category: 'budget', amount: 'amount', period: 'word' },
+        keywords: ['set budget'],
+        usage: 'set budget [category|overall] [amount] [weekly|monthly|yearly] [rollover]',
+        description: 'Set a budget; unspent money can roll over to the next period',
+        examples: ['set budget food 5000', 'set budget food 1500 weekly', 'set budget 30000 monthly with rollover'],
+        group: 'budgets',
+        handler: async ({ userPhone, args }) => {
+            const category = args.category || OVERALL_BUDGET;
+            const period = PERIOD_WORDS[args.period] || 'monthly';
+            const rollover = Boolean(args.rollover);
+
+            await databaseService.setBudget(userPhone, category, args.amount, period, rollover);
+            await whatsappService.sendMessage(userPhone,
+                `✅ ${period.charAt(0).toUpperCase() + period.slice(1)} budget set for *${budgetName(category)}*: ₹${args.amount}${rollover ? '\n🔄 Unspent money rolls over to the next period' : ''}`);
+        }
+    },
+    {
+        name: 'budget status',
+        patterns: [/^(?:budgets?|budget status|show budgets?)\s*\??$/i],
+        keywords: ['budget'],
+        usage: 'budget',
+        description: 'Budget status with days left and a safe daily spend',
+        group: 'budgets',
+        handler: async ({ userPhone }) => {
+            const status = await databaseService.getBudgetStatus(userPhone);
+            const categories = await categoryService.list(userPhone);
+            if (status.length === 0) {
+                await whatsappService.sendMessage(userPhone, "📊 No budgets set. Start by sending: \"set budget food 5000\"");
+                return;
+            }
+
+            let msg = "📊 *Budget Status*\n\n";
+            status.forEach(b => {
+                const percent = Math.round((b.spent / b.available) * 100);
+                const filled = Math.min(Math.floor(percent / 10), 10);
+                const bar = '▓'.repeat(filled) + '░'.repeat(10 - filled);
+                const carried = b.carried > 0 ? ` (incl. ₹${b.carried.toFixed(2)} rolled over)` : '';
+                const pace = b.spent >= b.available
+                    ? `🚨 Over by ₹${(b.spent - b.available).toFixed(2)}`
+                    : `⏳ ${b.daysLeft} day${b.daysLeft === 1 ? '' : 's'} left · ₹${b.safeDaily.toFixed(2)}/day is safe`;
+                const emoji = b.category === OVERALL_BUDGET ? '💰' : whatsappService.getCategoryEmoji(b.category, categories);
+                msg += `${emoji} *${budgetName(b.category)}* (${b.period}): ${percent}%\n${bar}\n₹${b.spent} / ₹${b.available}${carried}\n${pace}\n\n`;
+            });
+            await whatsappService.sendMessage(userPhone, msg);
+        }
+    },
+    {
+        name: 'mute alerts',
+        patterns: [/^mute\s+(?:budget\s+)?alerts?\s+(?:for\s+)?(?<category>[a-z].*)$/i],
+        args: { category: 'budget' },
+        keywords: ['mute alerts', 'mute'],
+        usage: 'mute alerts [category|overall]',
+        description: 'Stop budget warnings for a category',
+        examples: ['mute alerts food'],
+        group: 'budgets',
+        handler: async ({ userPhone, args }) => {
+            await databaseService.setBudgetAlertsMuted(userPhone, args.category, true);
+            await whatsappService.sendMessage(userPhone,
+                `🔕 Budget alerts muted for *${budgetName(args.category)}*. Send "unmute alerts ${budgetName(args.category).toLowerCase()}" to turn them back on.`);
+        }
+    },
+    {
+        name: 'unmute alerts',
+        patterns: [/^unmute\s+(?:budget\s+)?alerts?\s+(?:for\s+)?(?<category>[a-z].*)$/i],
+        args: { category: 'budget' },
+        keywords: ['unmute alerts', 'unmute'],
+        usage: 'unmute alerts [category|overall]',
+        description: 'Turn budget warnings back on',
+        examples: ['unmute alerts food'],
+        group: 'budgets',
+        handler: async ({ userPhone, args }) => {
+            await databaseService.setBudgetAlertsMuted(userPhone, args.category, false);
+            await whatsappService.sendMessage(userPhone, `🔔 Budget alerts are on for *${budgetName(args.category)}*.`);
+        }
+    }
+];
@@ -0,0 +1,142 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const categoryRules = require('../services/categoryRules');
+const categoryService = require('../services/categories');
+const { CATEGORY_SEPARATOR } = require('../config/constants');
+
+// An emoji at the end of "add category pets 🐶"
+const EMOJI = '(?<emoji>\\p{Extended_Pictographic}[\\p{Extended_Pictographic}\\p{Emoji_Modifier}\\u200d\\ufe0f]*)';
+
+const KIND_LABELS = {
+    merchant: '🏪',
+    keyword: '🔤'
+};
+
+module.exports = [
+    {
+        name: 'categories',
+        patterns: [/^(?:show\s+|list\s+)?(?:my\s+)?categories\s*\??$/i],
+        keywords: ['categories'],
+        usage: 'categories',
+        description: 'List your categories and subcategories',
+        group: 'settings',
+        handler: async ({ userPhone }) => {
+            const categories = await categoryService.list(userPhone);
+            let msg = '📂 *Your Categories*\n\n';
+            categories.forEach(category => {
+                const [parent, child] = category.name.split(CATEGORY_SEPARATOR);
+                const emoji = whatsappService.getCategoryEmoji(category.name, categories);
+                msg += child ? `    ↳ ${emoji} ${child}\n` : `${emoji} ${parent}${category.custom ? ' ✨' : ''}\n`;
+            });
+            msg += categories.some(category => category.custom) ? '\n✨ Added by you.' : '';
+            msg += '\nAdd your own with "add category pets 🐶" or "add category food > dining out".';
+            await whatsappService.sendMessage(userPhone, msg);
+        }
+    },
+    {
+        name: 'add category',
+        // "add category pets 🐶", "add category food > dining out", "add subcategory dining out to food"
+        patterns: [
+            new RegExp(`^add\\s+(?:a\\s+)?subcategory\\s+(?<name>.+?)\\s+(?:to|under|in)\\s+(?<parent>[a-z][^>]*?)(?:\\s*${EMOJI})?$`, 'iu'),
+            new RegExp(`^add\\s+(?:a\\s+)?(?:sub)?category\\s+(?<name>.+?)(?:\\s*${EMOJI})?$`, 'iu')
+        ],
+        keywords: ['add category', 'add subcategory'],
+        usage: 'add category [name] [emoji]',
+        description: 'Add your own category, or a subcategory as "parent > name"',
+        examples: ['add category pets 🐶', 'add category food > dining out'],
+        group: 'settings',
+        handler: async ({ userPhone, args }) => {
+            const name = args.parent ? `${args.parent} > ${args.name}` : args.name;
+            const result = await categoryService.add(userPhone, name, args.emoji || null);
+            if (result.error) {
+                await whatsappService.sendMessage(userPhone, `⚠️ ${result.error}`);
+                return;
+            }
+
+            const categories = await categoryService.list(userPhone);
+            await whatsappService.sendMessage(userPhone,
+                `✅ Added ${whatsappService.getCategoryEmoji(result.category, categories)} *${result.category}*. Use it like any other category: "move last to ${result.category}", "set budget ${result.category} 2000".`);
+        }
+    },
+    {
+        name: 'remove category',
+        patterns: [/^(?:remove|delete)\s+(?:sub)?category\s+(?<name>.+)$/i],
+        keywords: ['remove category', 'delete category'],
+        usage: 'remove category [name]',
+        description: 'Remove a category you added; its expenses move to the parent or "other"',
+        examples: ['remove category pets'],
+        group: 'settings',
+        handler: async ({ userPhone, args }) => {
+            const result = await categoryService.remove(userPhone, args.name);
+            if (result.error) {
+                await whatsappService.sendMessage(userPhone, `⚠️ ${result.error}`);
+                return;
+            }
+
+            const moved = result.moved > 0
+                ? `\n📂 Moved ${result.moved} ${result.moved === 1 ? 'expense' : 'expenses'} to ${result.fallback}.`
+                : '';
+            await whatsappService.sendMessage(userPhone, `🗑️ Removed *${result.category}*.${moved}`);
+        }
+    },
+    {
+        name: 'always categorize',
+        // "always categorize Zepto as food", "always put metro in transport"
+        patterns: [/^always\s+(?:categori[sz]e|file|put)\s+(?<keyword>.+?)\s+(?:as|in|into|under)\s+(?<category>[a-z].*)$/i],
+        args: { keyword: 'text', category: 'category' },
+        keywords: ['always'],
+        usage: 'always categorize [merchant or word] as [category]',
+        description: 'File a merchant or word under a category from now on',
+        examples: ['always categorize Zepto as food'],
+        group: 'settings',
+        handler: async ({ userPhone, args }) => {
+            const pattern = await categoryRules.set(userPhone, args.keyword, args.category);
+            if (!pattern) {
+                await whatsappService.sendMessage(userPhone, '⚠️ Which merchant or word? e.g. "always categorize Zepto as food"');
+                return;
+            }
+            await whatsappService.sendMessage(userPhone,
+                `🧠 Got it, anything with *${args.keyword}* goes under *${args.category}* from now on.`);
+        }
+    },
+    {
+        name: 'category rules',
+        patterns: [/^(?:show\s+)?(?:my\s+)?(?:category\s+)?rules\s*\??$/i],
+        keywords: ['category rules', 'rules'],
+        usage: 'category rules',
+        description: 'List the categories I learned from your corrections',
+        group: 'settings',
+        handler: async ({ userPhone }) => {
+            const rules = await databaseService.getCategoryRules(userPhone);
+            if (rules.length === 0) {
+                await whatsappService.sendMessage(userPhone,
+                    '🧠 No category rules yet. Fix a category with "move last to shopping" or set one with "always categorize Zepto as food".');
+                return;
+            }
+
+            let msg = '🧠 *Category Rules*\n\n';
+            rules.forEach(rule => {
+                const learned = rule.source === 'edit' ? ' (learned)' : '';
+                msg += `${KIND_LABELS[rule.kind] || '•'} ${rule.pattern} → ${rule.category}${learned}\n`;
+            });
+            msg += '\nRemove one with: "forget rule zepto"';
+            await whatsappService.sendMessage(userPhone, msg);
+        }
+    },
+    {
+        name: 'forget rule',
+        patterns: [/^(?:forget|delete|remove)\s+(?:category\s+)?rule\s+(?:for\s+)?(?<keyword>.+)$/i],
+        args: { keyword: 'text' },
+        keywords: ['forget rule', 'forget'],
+        usage: 'forget rule [merchant or word]',
+        description: 'Stop filing a merchant or word under its learned category',
+        examples: ['forget rule zepto'],
+        group: 'settings',
+        handler: async ({ userPhone, args }) => {
+            const removed = await categoryRules.forget(userPhone, args.keyword);
+            await whatsappService.sendMessage(userPhone, removed > 0
+                ? `🗑️ Forgot the rule for *${args.keyword}*.`
+                : `⚠️ I have no rule for "${args.keyword}". See them with "category rules".`);
+        }
+    }
+];
@@ -0,0 +1,336 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const expenseParser = require('../services/expenseParser');
+const expenseRecorder = require('../services/expenseRecorder');
+const categoryRules = require('../services/categoryRules');
+const categoryService = require('../services/categories');
+const logger = require('../utils/logger');
+const Validator = require('../utils/validator');
+const Helpers = require('../utils/helpers');
+const DateUtils = require('../utils/dates');
+
+// Fields "edit 42 <field> <value>" can change; "note" is another name for description
+const EDITABLE_FIELDS = ['amount', 'category', 'merchant', 'description', 'note', 'date', 'items', 'tags'];
+
+// Parses a free-text expense or income (with rules, or Groq when they aren't sure) and hands it to the recorder, which saves it
+// (or asks first when it looks like a duplicate) and sends the confirmation. A missing amount or
+// unclear category is asked for, and the answer is picked up from the conversation state.
+// A message listing several expenses saves all of them together, or none if one is invalid.
+// The user's category rules override the guessed category.
+// Voice-note transcripts are echoed back so the user can spot a mishearing.
+async function logTextExpense(userPhone, messageText, { source = 'text', tags = [] } = {}) {
+    await whatsappService.sendMessage(userPhone, "💭 Processing your message...");
+
+    const heard = source === 'voice' ? `🎙️ Heard: "${messageText}"\n` : '';
+    const today = DateUtils.today(await databaseService.getUserTimezone(userPhone));
+    const categories = await categoryService.names(userPhone);
+    const expenses = await expenseParser.parse(messageText, { today, categories }) || [];
+    expenses.forEach(expenseData => {
+        expenseData.tags = tags;
+        // "pets 500" when the user has a pets category
+        expenseData.category = expenseData.category || categoryService.resolve(categories, expenseData.description)
+            || Helpers.guessCategory(expenseData.description);
+    });
+    await categoryRules.apply(userPhone, expenses);
+
+    if (expenses.length > 1) {
+        await logSeveralExpenses(userPhone, messageText, expenses, heard, categories);
+        return;
+    }
+
+    const expenseData = expenses[0] || null;
+    if (expenseData) {
+        const missing = expenseRecorder.missingField(expenseData, categories);
+        if (missing) {
+            await expenseRecorder.askFor(userPhone, expenseData, { kind: 'text', heard }, missing);
+            return;
+        }
+    }
+
+    const validationErrors = Validator.validateExpenseData(expenseData, categories);
+
+    if (validationErrors.length > 0) {
+        logger.warn(`Validation failed for '${messageText}':`, validationErrors);
+        await whatsappService.sendMessage(userPhone,
+            `${heard}⚠️ I understood the amount, but there were issues:\n${validationErrors.join('\n')}\n\nPlease try again with a clearer message.`);
+        return;
+    }
+
+    await expenseRecorder.record(userPhone, expenseData, { kind: 'text', heard });
+}
+
+// Each entry is checked on its own; any problem is reported per entry and nothing is saved
+async function logSeveralExpenses(userPhone, messageText, expenses, heard, categories) {
+    const results = expenses.map(expenseData => Validator.validateExpenseData(expenseData, categories));
+
+    if (results.some(errors => errors.length > 0)) {
+        logger.warn(`Validation failed for '${messageText}':`, results);
+        const lines = expenses.map((expenseData, i) => {
+            const what = expenseData.description || expenseData.merchant || `Entry ${i + 1}`;
+            const amount = expenseData.amount ? ` ₹${expenseData.amount}` : '';
+            return results[i].length > 0
+                ? `⚠️ ${what}${amount}: ${results[i].join('; ')}`
+                : `✅ ${what}${amount}`;
+        });
+        await whatsappService.sendMessage(userPhone,
+            `${heard}❌ Nothing was saved, some entries have problems:\n${lines.join('\n')}\n\nFix them and send the message again.`);
+        return;
+    }
+
+    await expenseRecorder.recordMany(userPhone, expenses, { heard });
+}
+
+// "42" or "last" -> the expense, or null after telling the user it wasn't found
+async function findTarget(userPhone, target) {
+    const expense = /^last$/i.test(target)
+        ? await databaseService.getLastExpense(userPhone)
+        : await databaseService.getExpense(parseInt(target, 10), userPhone);
+    if (!expense) {
+        await whatsappService.sendMessage(userPhone, `⚠️ I couldn't find expense ${target}.`);
+    }
+    return expense;
+}
+
+// Remembers a category correction for next time; returns a line for the reply, or ''
+async function learnCategory(userPhone, expense, category) {
+    try {
+        const rule = await categoryRules.learn(userPhone, expense, category);
+        return rule ? `\n🧠 I'll file ${rule.name} under ${category} from now on.` : '';
+    } catch (error) {
+        logger.error(`Learning category rule failed: ${error.message}`);
+        return '';
+    }
+}
+
+// "Milk 50, Bread 2 x 40" -> line items; each piece ends with its price
+function parseItems(value) {
+    return value.split(',').map(piece => {
+        const match = piece.trim().match(/^(.+?)\s+(?:(\d+(?:\.\d+)?)\s*[x×]\s*)?₹?(\d+(?:\.\d+)?)$/i);
+        if (!match) return { name: piece.trim(), line_total: NaN };
+
+        const quantity = match[2] ? parseFloat(match[2]) : 1;
+        const unitPrice = parseFloat(match[3]);
+        return { name: match[1], quantity, unit_price: unitPrice, line_total: quantity * unitPrice };
+    });
+}
+
+/**
+ * Turns "edit 42 <field> <value>" into the changes for updateExpense.
+ * @returns {Promise<{changes: Object, shown: string}|{error: string}>} shown is the new value as displayed
+ */
+async function parseEdit(userPhone, field, value, tags) {
+    const cleared = /^(?:none|clear|-)$/i.test(value);
+
+    switch (field) {
+        case 'amount': {
+            const amount = Helpers.parseAmount(value);
+            return Validator.validateAmount(amount)
+                ? { changes: { amount }, shown: `₹${amount}` }
+                : { error: `"${value}" isn't a valid amount. Send a number like 450.` };
+        }
+        case 'category': {
+            const categories = await categoryService.names(userPhone);
+            const category = categoryService.resolve(categories, value);
+            return category
+                ? { changes: { category }, shown: category }
+                : { error: `"${value}" isn't a category. Valid: ${categories.join(', ')}` };
+        }
+        case 'merchant':
+            if (value.length > 100) return { error: 'Merchant name too long (max 100 chars).' };
+            return { changes: { merchant: cleared ? '' : value }, shown: cleared ? 'none' : value };
+        case 'description':
+        case 'note':
+            if (value.length > 200) return { error: 'Description too long (max 200 chars).' };
+            return { changes: { description: cleared ? '' : value }, shown: cleared ? 'none' : value };
+        case 'date': {
+            const token = DateUtils.parseDateToken(value);
+            const today = DateUtils.today(await databaseService.getUserTimezone(userPhone));
+            const date = token && DateUtils.resolveDate(token, today, token.year);
+            if (!date || date > today || !Validator.validateDate(date)) {
+                return { error: `"${value}" isn't a date I can use. Try "yesterday", "12 oct" or "12/10" (up to 2 years back).` };
+            }
+            return { changes: { date }, shown: DateUtils.formatDisplay(date) };
+        }
+        case 'items': {
+            const items = cleared ? [] : parseItems(value);
+            const errors = Validator.validateLineItems(items);
+            if (items.some(item => isNaN(item.line_total))) {
+                return { error: 'Give each item a price, separated by commas: "Milk 50, Bread 2 x 40".' };
+            }
+            if (errors.length > 0) return { error: errors.join('\n') };
+            return { changes: { items }, shown: items.length > 0 ? `\n${whatsappService.formatLineItems(items)}` : 'none' };
+        }
+        case 'tags':
+            return { changes: { tags }, shown: tags.length > 0 ? Helpers.formatTags(tags) : 'none' };
+        default:
+            return { error: `I can't edit ${field}. You can edit: ${EDITABLE_FIELDS.join(', ')}` };
+    }
+}
+
+const commands = [
+    {
+        name: 'log expense',
+        // Lowest priority so report and edit commands win over a stray "spent", and a message opening
+        // with another command's keyword ("budget 5000", "insights 7") is a mistyped command, not an expense.
+        // A message opening with a whole period ("this week I paid 200") is a question, not one expense.
+        patterns: [
+            /^(?!(?:this|last)\s+(?:week|month|year)\b).*\b(?:spent|paid|bought)\b/i,
+            /^(?:cab|uber)\s+/i,
+            // "auto 40", "movie tickets ₹500", "petrol 2k"; words that only start commands are left out
+            /^(?!(?:this|last|next|set|show|list|compare)\b)[a-z][\w'&.-]*(?:\s+[a-z][\w'&.-]*){0,3}\s+(?:₹\s*|rs\.?\s*)?\d[\d,]*(?:\.\d+)?\s*(?:k|rs\.?|rupees|\/-)?$/i
+        ],
+        yieldToKeywords: true,
+        usage: 'spent [amount] on [description]',
+        description: 'Log an expense',
+        examples: ['Spent 250 on lunch', 'Paid 500 for groceries', 'Auto 40'],
+        group: 'track',
+        priority: -10,
+        handler: ({ userPhone, text, tags, source }) => logTextExpense(userPhone, text, { source, tags })
+    },
+    {
+        name: 'log income',
+        // Same priority as logging an expense; the rule-based parser sets the direction when it
+        // is confident, and Groq decides for the messages it cannot read
+        patterns: [
+            /^(?!(?:this|last)\s+(?:week|month|year)\b).*\b(?:received|got|earned|credited)\b.*\d/i,
+            /^(?:salary|refund|income|bonus|cashback)\b.*\d/i
+        ],
+        usage: 'received [amount] [source]',
+        description: 'Log money coming in',
+        examples: ['Received salary 60000', 'Got 500 refund'],
+        group: 'track',
+        priority: -10,
+        handler: ({ userPhone, text, tags, source }) => logTextExpense(userPhone, text, { source, tags })
+    },
+    {
+        name: 'delete last',
+        patterns: [/^(?:delete last|undo)$/i],
+        keywords: ['delete last', 'undo'],
+        usage: 'delete last',
+        description: 'Delete your last expense',
+        group: 'edit',
+        handler: async ({ userPhone }) => {
+            const lastExpense = await databaseService.getLastExpense(userPhone);
+            if (!lastExpense) {
+                await whatsappService.sendMessage(userPhone, "⚠️ No expenses found to delete.");
+                return;
+            }
+            await databaseService.deleteExpense(lastExpense.id, userPhone);
+            await whatsappService.sendMessage(userPhone, `🗑️ Deleted last expense #${lastExpense.id}: ₹${lastExpense.amount} (${lastExpense.category})`);
+        }
+    },
+    {
+        name: 'delete',
+        patterns: [/^(?:delete|remove)\s+(?:expenses?\s+)?(?<ids>#?\d+(?:(?:\s*,\s*|\s+(?:and\s+)?)#?\d+)*)$/i],
+        usage: 'delete [id] [id]...',
+        description: 'Delete expenses by their # number',
+        examples: ['delete 42', 'delete 42 43'],
+        group: 'edit',
+        handler: async ({ userPhone, args }) => {
+            const ids = [...new Set(args.ids.match(/\d+/g).map(id => parseInt(id, 10)))];
+            const deleted = (await databaseService.deleteExpenses(ids, userPhone)).sort((a, b) => a.id - b.id);
+            const missing = ids.filter(id => !deleted.some(expense => expense.id === id));
+
+            const lines = deleted.map(expense => `• #${expense.id} ₹${expense.amount} (${expense.category})`);
+            let message = deleted.length > 0 ? `🗑️ Deleted:\n${lines.join('\n')}` : '⚠️ Nothing deleted.';
+            if (missing.length > 0) {
+                message += `\n\nI couldn't find ${missing.map(id => `#${id}`).join(', ')}.`;
+            }
+            await whatsappService.sendMessage(userPhone, message);
+        }
+    },
+    {
+        name: 'move',
+        patterns: [/^move\s+#?(?<target>\d+|last)\s+(?:to|into)\s+(?<category>.+)$/i],
+        args: { category: 'category' },
+        keywords: ['move'],
+        usage: 'move [id|last] to [category]',
+        description: 'Change the category of an expense',
+        examples: ['move 42 to shopping', 'move last to food'],
+        group: 'edit',
+        handler: async ({ userPhone, args }) => {
+            const expense = await findTarget(userPhone, args.target);
+            if (!expense) return;
+
+            await databaseService.updateExpense(expense.id, userPhone, { category: args.category });
+            const learned = await learnCategory(userPhone, expense, args.category);
+            await whatsappService.sendMessage(userPhone,
+                `📂 Moved #${expense.id} ₹${expense.amount} from ${expense.category} to ${args.category}${learned}`);
+        }
+    },
+    {
+        name: 'tag',
+        patterns: [/^tag\s+(?<target>\d+|last)$/i],
+        keywords: ['tag'],
+        usage: 'tag [id|last] #tag',
+        description: 'Add hashtags to an expense',
+        examples: ['tag last #goa', 'tag 42 #work'],
+        group: 'edit',
+        handler: async ({ userPhone, args, tags }) => {
+            if (tags.length === 0) {
+                await whatsappService.sendMessage(userPhone, '⚠️ Add at least one hashtag, e.g. "tag last #work".');
+                return;
+            }
+            const expense = await findTarget(userPhone, args.target);
+            if (!expense) return;
+
+            const merged = [...expense.tags, ...tags.filter(tag => !expense.tags.includes(tag))];
+            await databaseService.updateExpense(expense.id, userPhone, { tags: merged });
+            await whatsappService.sendMessage(userPhone,
+                `🏷️ Tagged ₹${expense.amount} (${expense.category}): ${Helpers.formatTags(merged)}`);
+        }
+    },
+    {
+        name: 'untag',
+        patterns: [/^untag\s+(?<target>\d+|last)$/i],
+        keywords: ['untag'],
+        usage: 'untag [id|last] [#tag]',
+        description: 'Remove hashtags from an expense (all of them if none are named)',
+        examples: ['untag last #goa', 'untag 42'],
+        group: 'edit',
+        handler: async ({ userPhone, args, tags }) => {
+            const expense = await findTarget(userPhone, args.target);
+            if (!expense) return;
+
+            const remaining = tags.length > 0 ? expense.tags.filter(tag => !tags.includes(tag)) : [];
+            await databaseService.updateExpense(expense.id, userPhone, { tags: remaining });
+            await whatsappService.sendMessage(userPhone, remaining.length > 0
+                ? `🏷️ Tags on ₹${expense.amount} (${expense.category}): ${Helpers.formatTags(remaining)}`
+                : `🏷️ Removed all tags from ₹${expense.amount} (${expense.category})`);
+        }
+    },
+    {
+        name: 'edit',
+        patterns: [new RegExp(`^edit\\s+#?(?<target>\\d+|last)\\s+(?<field>${EDITABLE_FIELDS.join('|')})(?:\\s+(?<value>.+))?$`, 'i')],
+        args: { field: 'word', value: 'text' },
+        keywords: ['edit'],
+        usage: 'edit [id|last] [field] [value]',
+        description: `Fix an expense (${EDITABLE_FIELDS.join(', ')})`,
+        examples: ['edit last amount 450', 'edit 42 merchant Dmart', 'edit 42 date yesterday', 'edit 42 items Milk 50, Bread 2 x 40'],
+        group: 'edit',
+        handler: async ({ userPhone, args, tags }) => {
+            const value = args.value || '';
+            if (!value && args.field !== 'tags') {
+                await whatsappService.sendMessage(userPhone, `⚠️ What should the ${args.field} be? e.g. "edit ${args.target} ${args.field} ..."`);
+                return;
+            }
+
+            const expense = await findTarget(userPhone, args.target);
+            if (!expense) return;
+
+            const edit = await parseEdit(userPhone, args.field, value, tags);
+            if (edit.error) {
+                await whatsappService.sendMessage(userPhone, `⚠️ ${edit.error}`);
+                return;
+            }
+
+            await databaseService.updateExpense(expense.id, userPhone, edit.changes);
+            const field = args.field === 'note' ? 'description' : args.field;
+            const learned = field === 'category' ? await learnCategory(userPhone, expense, edit.changes.category) : '';
+            await whatsappService.sendMessage(userPhone, `✅ Updated #${expense.id} ${field}: ${edit.shown}${learned}`);
+        }
+    }
+];
+
+module.exports = commands;
+module.exports.logTextExpense = logTextExpense;
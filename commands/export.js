@@ -0,0 +1,73 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const exportService = require('../services/exporter');
+const categoryService = require('../services/categories');
+const logger = require('../utils/logger');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+
+// "export", "export month", "export xlsx 2025", "export food last 3 months as excel"
+const EXPORT_PATTERN = /^export(?:\s+(?:as\s+)?(?<format>csv|xlsx|excel))?(?:\s+(?<filter>.+?))?(?:\s+(?:as|in)\s+(?<suffix>csv|xlsx|excel))?\s*$/i;
+
+const FORMAT_WORDS = { csv: 'csv', xlsx: 'xlsx', excel: 'xlsx' };
+
+// Splits "food last 3 months" into a category and a period spec; the period defaults to this month.
+// The category is the longest run of leading words naming one of the user's categories ("food > dining out").
+function parseFilter(filter, categories) {
+    if (!filter) return { category: null, period: { kind: 'month', offset: 0 } };
+
+    const period = DateUtils.parsePeriod(filter);
+    if (period) return { category: null, period };
+
+    const words = filter.split(/\s+/);
+    for (let count = words.length; count > 0; count--) {
+        const category = categoryService.resolve(categories, words.slice(0, count).join(' '));
+        if (!category) continue;
+
+        const remainder = words.slice(count).join(' ');
+        const categoryPeriod = remainder ? DateUtils.parsePeriod(remainder) : { kind: 'month', offset: 0 };
+        return categoryPeriod ? { category, period: categoryPeriod } : null;
+    }
+    return null;
+}
+
+module.exports = [
+    {
+        name: 'export',
+        patterns: [EXPORT_PATTERN],
+        keywords: ['export'],
+        usage: 'export [category] [period] [#tag] [as csv|xlsx]',
+        description: 'Get your expenses as a spreadsheet (this month by default)',
+        examples: ['export month', 'export 2025 as xlsx', 'export food last 3 months', 'export 2025 #goa'],
+        group: 'reports',
+        handler: async ({ userPhone, args, tags, categories }) => {
+            const filter = parseFilter(args.filter, categories);
+            const range = filter && await databaseService.resolvePeriod(userPhone, filter.period);
+            if (!range) {
+                await whatsappService.sendMessage(userPhone,
+                    `⚠️ I couldn't read "${args.filter}". Try "export month", "export 2025" or "export food last 3 months".`);
+                return;
+            }
+
+            const rows = await databaseService.getExportRows(userPhone, range, filter.category, tags);
+            const scope = [filter.category, range.label.toLowerCase(), Helpers.formatTags(tags)].filter(Boolean).join(' ');
+            if (rows.length === 0) {
+                await whatsappService.sendMessage(userPhone, `📭 Nothing to export for ${scope}.`);
+                return;
+            }
+
+            const format = FORMAT_WORDS[(args.format || args.suffix || 'csv').toLowerCase()];
+            const name = ['expenses', filter.category && filter.category.replace(/\W+/g, '-'), ...tags, range.start, range.end].filter(Boolean).join('_');
+
+            try {
+                const file = await exportService.build(rows, format, name);
+                const mediaId = await whatsappService.uploadMedia(file.buffer, file.mimeType, file.filename);
+                await whatsappService.sendDocument(userPhone, mediaId, file.filename,
+                    `📎 ${rows.length} ${rows.length === 1 ? 'entry' : 'entries'} for ${scope} (${DateUtils.formatDisplay(range.start)} – ${DateUtils.formatDisplay(range.end)})`);
+            } catch (error) {
+                logger.error(`Export failed for ${userPhone}:`, error);
+                await whatsappService.sendMessage(userPhone, "⚠️ I couldn't send the export file. Please try again later.");
+            }
+        }
+    }
+];
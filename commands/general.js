@@ -0,0 +1,72 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const commandRouter = require('../services/commandRouter');
+const DateUtils = require('../utils/dates');
+
+async function sendHelp({ userPhone }) {
+    await whatsappService.sendMessage(userPhone, commandRouter.formatHelp());
+}
+
+module.exports = [
+    {
+        name: 'help',
+        patterns: [/^(?:help|commands|menu)\s*[?!.]*$/i],
+        keywords: ['help'],
+        usage: 'help',
+        description: 'Show this message',
+        group: 'settings',
+        handler: sendHelp
+    },
+    {
+        name: 'timezone',
+        patterns: [/^(?:set\s+)?(?:timezone|tz)(?:\s+(?<timezone>\S+))?$/i],
+        args: { timezone: 'timezone' },
+        keywords: ['timezone', 'set timezone'],
+        usage: 'timezone [region]',
+        description: 'Set the timezone used for "today", "week" and "month"',
+        examples: ['timezone Asia/Kolkata'],
+        group: 'settings',
+        handler: async ({ userPhone, args }) => {
+            if (!args.timezone) {
+                const current = await databaseService.getUserTimezone(userPhone);
+                await whatsappService.sendMessage(userPhone,
+                    `🕒 Your timezone is *${current}* (today is ${DateUtils.today(current)}).\nChange it with: "timezone Asia/Kolkata"`);
+                return;
+            }
+
+            await databaseService.setUserTimezone(userPhone, args.timezone);
+            await whatsappService.sendMessage(userPhone,
+                `✅ Timezone set to *${args.timezone}*. Today is ${DateUtils.today(args.timezone)} for you.`);
+        }
+    },
+    {
+        name: 'confirm mode',
+        patterns: [/^(?:confirm|review)(?:\s+before\s+sav(?:e|ing))?(?:\s+mode)?(?:\s+(?<state>on|off))?$/i],
+        args: { state: 'word' },
+        keywords: ['confirm', 'review'],
+        usage: 'confirm on|off',
+        description: 'Check each parsed expense and tap Save before it is saved',
+        examples: ['confirm on'],
+        group: 'settings',
+        handler: async ({ userPhone, args }) => {
+            if (!args.state) {
+                const enabled = await databaseService.getConfirmBeforeSave(userPhone);
+                await whatsappService.sendMessage(userPhone,
+                    `🧐 Confirm before saving is *${enabled ? 'on' : 'off'}*.\nTurn it ${enabled ? 'off with "confirm off"' : 'on with "confirm on"'}.`);
+                return;
+            }
+
+            const enabled = args.state === 'on';
+            await databaseService.setConfirmBeforeSave(userPhone, enabled);
+            await whatsappService.sendMessage(userPhone, enabled
+                ? '✅ Confirm before saving is *on*. I\'ll show each expense with Save / Change / Cancel buttons first.'
+                : '✅ Confirm before saving is *off*. Expenses are saved right away.');
+        }
+    },
+    {
+        name: 'greeting',
+        patterns: [/^(?:hi|hello|hey|start)\s*[!.]*$/i],
+        hidden: true,
+        handler: sendHelp
+    }
+];
@@ -0,0 +1,15 @@
+const commandRouter = require('../services/commandRouter');
+
+// Registration order sets the order within a help section
+commandRouter.registerAll([
+    ...require('./expenses'),
+    ...require('./reports'),
+    ...require('./export'),
+    ...require('./questions'),
+    ...require('./budgets'),
+    ...require('./recurring'),
+    ...require('./general'),
+    ...require('./categories')
+]);
+
+module.exports = commandRouter;
@@ -0,0 +1,108 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const queryPlanner = require('../services/queryPlanner');
+const categoryService = require('../services/categories');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+
+const GROUP_TITLES = {
+    category: 'by category',
+    merchant: 'by merchant',
+    day: 'by day',
+    month: 'by month'
+};
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatMoney(amount) {
+    return `₹${amount.toFixed(2)}`;
+}
+
+// "on *food* at *Swiggy* tagged *#goa*" for whichever filters the query has
+function describeFilters(query) {
+    const parts = [];
+    if (query.category) parts.push(`on *${query.category}*`);
+    if (query.merchant) parts.push(`at *${query.merchant}*`);
+    if (query.tags && query.tags.length > 0) parts.push(`tagged *${Helpers.formatTags(query.tags)}*`);
+    return parts.length > 0 ? ` ${parts.join(' ')}` : '';
+}
+
+// categoryList is the user's categories with emojis, for answers grouped by category
+function formatAnswer(query, range, result, days, categoryList) {
+    const filters = describeFilters(query);
+    const footer = `\n📅 ${range.label}`;
+
+    if (query.groupBy) {
+        if (result.groups.length === 0) return `No expenses${filters} found.${footer}`;
+
+        const lines = result.groups.map(g => {
+            const value = query.aggregate === 'count' ? `${g.count}`
+                : formatMoney(query.aggregate === 'avg_daily' ? g.value / days : g.value);
+            const bullet = query.groupBy === 'category' ? whatsappService.getCategoryEmoji(g.key, categoryList) : '•';
+            return `${bullet} ${g.key}: ${value}`;
+        });
+        return `📊 *Spending${filters} ${GROUP_TITLES[query.groupBy]}*\n\n${lines.join('\n')}\n${footer}`;
+    }
+
+    if (result.count === 0) return `No expenses${filters} found.${footer}`;
+
+    switch (query.aggregate) {
+        case 'count':
+            return `🧾 *${plural(result.count, 'expense')}*${filters}${footer}`;
+        case 'avg':
+            return `📊 Average expense${filters}: *${formatMoney(result.value)}* (${plural(result.count, 'expense')})${footer}`;
+        case 'avg_daily':
+            return `📆 Average daily spend${filters}: *${formatMoney(result.value / days)}* over ${plural(days, 'day')}${footer}`;
+        case 'max':
+        case 'min': {
+            const exp = result.expense;
+            const label = query.aggregate === 'max' ? '🏆 Biggest' : '🪙 Smallest';
+            const merchant = exp.merchant ? ` at ${exp.merchant}` : '';
+            return `${label} expense${filters}: *${formatMoney(exp.amount)}*${merchant} (${exp.category}) on ${DateUtils.formatDisplay(exp.date)}${footer}`;
+        }
+        default:
+            return `💸 You spent *${formatMoney(result.value)}*${filters} (${plural(result.count, 'expense')})${footer}`;
+    }
+}
+
+module.exports = [
+    {
+        name: 'question',
+        patterns: [
+            /^(?:how much|how many|how often|what(?:'s|\s+is|\s+was|\s+were|\s+are)?|which|where|average|avg|biggest|largest|smallest|cheapest|top|total)\b.+/i,
+            /^(?:did|do|have|has|am|is|are|was|were|can)\s+(?:i|my|we)\b.+/i,
+            // Any other question, unless it has a number in it: "spent 200 on lunch?" is an expense
+            /^[^\d]+\?\s*$/
+        ],
+        usage: 'how much [question]',
+        description: 'Ask about your spending',
+        examples: ['how much did I spend at Swiggy last month', 'what was my biggest expense this week', 'average daily food spend'],
+        group: 'reports',
+        // Below fixed reports, above expense logging
+        priority: -5,
+        handler: async ({ userPhone, text, tags, categories }) => {
+            const query = { ...await queryPlanner.plan(text, categories), tags };
+            const range = await databaseService.resolvePeriod(userPhone, query.period);
+            if (!range) {
+                await whatsappService.sendMessage(userPhone, "⚠️ I couldn't work out the dates in that question.");
+                return;
+            }
+
+            const result = await databaseService.runExpenseQuery(userPhone, {
+                ...query,
+                // Daily averages are a sum divided by the elapsed days of the period
+                aggregate: query.aggregate === 'avg_daily' ? 'sum' : query.aggregate,
+                range
+            });
+
+            const today = await databaseService.resolvePeriod(userPhone, { kind: 'day', offset: 0 });
+            const lastDay = range.end < today.end ? range.end : today.end;
+            const days = Math.max(DateUtils.daysBetween(range.start, lastDay), 1);
+
+            const categoryList = query.groupBy === 'category' ? await categoryService.list(userPhone) : [];
+            await whatsappService.sendMessage(userPhone, formatAnswer(query, range, result, days, categoryList));
+        }
+    }
+];
@@ -0,0 +1,184 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+
+const AMOUNT = '(?:₹|rs\\.?\\s*)?(?<amount>[\\d,]+(?:\\.\\d+)?)';
+const DESCRIPTION = '(?<description>.+?)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+const MONTH = '[a-z]{3,9}';
+const WEEKDAY = 'mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?';
+
+// "every day metro 60", "every monday gym 500", "every month on 1st rent 15000", "every year on 15 mar insurance 12000"
+const RECURRING_PATTERNS = [
+    new RegExp(`^(?:every\\s*(?<frequency>day)|daily)\\s+${DESCRIPTION}\\s+${AMOUNT}$`, 'i'),
+    new RegExp(`^every\\s+(?:(?<frequency>week)(?:\\s+on)?\\s+)?(?<weekday>${WEEKDAY})\\s+${DESCRIPTION}\\s+${AMOUNT}$`, 'i'),
+    new RegExp(`^every\\s+(?<frequency>week)\\s+${DESCRIPTION}\\s+${AMOUNT}$`, 'i'),
+    new RegExp(`^every\\s+(?<frequency>month)(?:\\s+on\\s+(?:the\\s+)?(?<day>\\d{1,2})${ORDINAL})?\\s+${DESCRIPTION}\\s+${AMOUNT}$`, 'i'),
+    new RegExp(`^every\\s+(?<frequency>year)(?:\\s+on\\s+(?:(?<day>\\d{1,2})${ORDINAL}\\s+(?<month>${MONTH})|(?<month2>${MONTH})\\s+(?<day2>\\d{1,2})${ORDINAL}))?\\s+${DESCRIPTION}\\s+${AMOUNT}$`, 'i')
+];
+
+const FREQUENCIES = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+function describeSchedule(rule) {
+    switch (rule.frequency) {
+        case 'daily':
+            return 'every day';
+        case 'weekly':
+            return `every ${DateUtils.weekdayName(rule.day_of_week)}`;
+        case 'monthly':
+            return `every month on the ${ordinal(rule.day_of_month)}`;
+        default:
+            return `every year on ${rule.day_of_month} ${DateUtils.monthName(rule.month_of_year).substring(0, 3)}`;
+    }
+}
+
+// Builds the schedule fields from the matched groups; missing parts default to today
+function buildSchedule(args, today) {
+    const todayDate = DateUtils.parse(today);
+    const frequency = args.weekday && !args.frequency ? 'weekly' : FREQUENCIES[(args.frequency || '').toLowerCase()];
+    const schedule = { frequency };
+
+    if (frequency === 'weekly') {
+        schedule.day_of_week = args.weekday ? DateUtils.weekdayIndex(args.weekday) : todayDate.getUTCDay();
+        if (schedule.day_of_week < 0) return null;
+    } else if (frequency === 'monthly' || frequency === 'yearly') {
+        schedule.day_of_month = parseInt(args.day || args.day2 || todayDate.getUTCDate(), 10);
+        if (schedule.day_of_month < 1 || schedule.day_of_month > 31) return null;
+    }
+
+    if (frequency === 'yearly') {
+        const month = args.month || args.month2;
+        schedule.month_of_year = month ? DateUtils.monthIndex(month) : todayDate.getUTCMonth();
+        if (schedule.month_of_year < 0) return null;
+    }
+
+    return schedule;
+}
+
+async function findRule(userPhone, id) {
+    const rule = await databaseService.getRecurringExpense(id, userPhone);
+    if (!rule) {
+        await whatsappService.sendMessage(userPhone, `⚠️ No recurring expense #${id}. Send "recurring" to see yours.`);
+    }
+    return rule;
+}
+
+module.exports = [
+    {
+        name: 'add recurring',
+        patterns: RECURRING_PATTERNS,
+        args: { amount: 'amount' },
+        keywords: ['every'],
+        usage: 'every [day|week|month|year] [on ...] [description] [amount]',
+        description: 'Log an expense automatically on a schedule',
+        examples: ['every month on 1st rent 15000', 'every monday gym 500'],
+        group: 'recurring',
+        handler: async ({ userPhone, args }) => {
+            const timezone = await databaseService.getUserTimezone(userPhone);
+            const today = DateUtils.today(timezone);
+            const schedule = buildSchedule(args, today);
+
+            if (!schedule) {
+                await whatsappService.sendMessage(userPhone,
+                    "⚠️ I couldn't read that schedule. Try \"every month on 1st rent 15000\" or \"every monday gym 500\".");
+                return;
+            }
+
+            // The first entry is the next matching day after today; log today's one yourself if it is already due
+            const rule = {
+                ...schedule,
+                amount: args.amount,
+                description: args.description,
+                category: Helpers.guessCategory(args.description) || 'other',
+                next_run: DateUtils.nextOccurrence(schedule, today)
+            };
+            const id = await databaseService.createRecurringExpense(userPhone, rule);
+
+            await whatsappService.sendMessage(userPhone,
+                `🔁 *Recurring expense #${id} created*\n💰 ₹${rule.amount} - ${rule.description} (${rule.category})\n🗓️ ${describeSchedule(rule)}\n📅 First entry: ${DateUtils.formatDisplay(rule.next_run)}`);
+        }
+    },
+    {
+        name: 'list recurring',
+        patterns: [/^(?:(?:show|list)\s+)?(?:my\s+)?(?:recurring(?:\s+expenses)?|subscriptions)\s*\??$/i],
+        keywords: ['recurring'],
+        usage: 'recurring',
+        description: 'List your recurring expenses',
+        group: 'recurring',
+        handler: async ({ userPhone }) => {
+            const rules = await databaseService.getRecurringExpenses(userPhone);
+            if (rules.length === 0) {
+                await whatsappService.sendMessage(userPhone, "🔁 No recurring expenses yet. Try: \"every month on 1st rent 15000\"");
+                return;
+            }
+
+            const lines = rules.map(rule => {
+                const status = rule.active ? `next ${DateUtils.formatDisplay(rule.next_run)}` : '⏸️ paused';
+                return `#${rule.id} ₹${rule.amount} ${rule.description || rule.category} - ${describeSchedule(rule)} (${status})`;
+            });
+            await whatsappService.sendMessage(userPhone,
+                `🔁 *Recurring Expenses*\n\n${lines.join('\n')}\n\nManage with "pause recurring 3", "resume recurring 3" or "delete recurring 3".`);
+        }
+    },
+    {
+        name: 'pause recurring',
+        patterns: [/^pause\s+recurring\s+#?(?<id>\d+)$/i],
+        args: { id: 'integer' },
+        keywords: ['pause recurring', 'pause'],
+        usage: 'pause recurring [id]',
+        description: 'Stop a recurring expense for now',
+        examples: ['pause recurring 3'],
+        group: 'recurring',
+        handler: async ({ userPhone, args }) => {
+            const rule = await findRule(userPhone, args.id);
+            if (!rule) return;
+
+            await databaseService.setRecurringActive(rule.id, userPhone, false);
+            await whatsappService.sendMessage(userPhone, `⏸️ Paused recurring expense #${rule.id} (${rule.description || rule.category}).`);
+        }
+    },
+    {
+        name: 'resume recurring',
+        patterns: [/^resume\s+recurring\s+#?(?<id>\d+)$/i],
+        args: { id: 'integer' },
+        keywords: ['resume recurring', 'resume'],
+        usage: 'resume recurring [id]',
+        description: 'Restart a paused recurring expense',
+        examples: ['resume recurring 3'],
+        group: 'recurring',
+        handler: async ({ userPhone, args }) => {
+            const rule = await findRule(userPhone, args.id);
+            if (!rule) return;
+
+            // Occurrences skipped while paused are not logged
+            const today = DateUtils.today(await databaseService.getUserTimezone(userPhone));
+            const nextRun = rule.next_run > today ? rule.next_run : DateUtils.nextOccurrence(rule, today);
+            await databaseService.setRecurringActive(rule.id, userPhone, true, nextRun);
+            await whatsappService.sendMessage(userPhone,
+                `▶️ Resumed recurring expense #${rule.id}. Next entry: ${DateUtils.formatDisplay(nextRun)}`);
+        }
+    },
+    {
+        name: 'delete recurring',
+        patterns: [/^(?:delete|remove|cancel)\s+recurring\s+#?(?<id>\d+)$/i],
+        args: { id: 'integer' },
+        keywords: ['delete recurring', 'remove recurring', 'cancel recurring'],
+        usage: 'delete recurring [id]',
+        description: 'Remove a recurring expense (logged entries stay)',
+        examples: ['delete recurring 3'],
+        group: 'recurring',
+        handler: async ({ userPhone, args }) => {
+            const rule = await findRule(userPhone, args.id);
+            if (!rule) return;
+
+            await databaseService.deleteRecurringExpense(rule.id, userPhone);
+            await whatsappService.sendMessage(userPhone, `🗑️ Deleted recurring expense #${rule.id} (${rule.description || rule.category}).`);
+        }
+    }
+];
@@ -0,0 +1,298 @@
+const whatsappService = require('../services/whatsapp');
+const databaseService = require('../services/database');
+const groqService = require('../services/groq');
+const receiptStorage = require('../services/storage');
+const logger = require('../utils/logger');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+const Validator = require('../utils/validator');
+const { LIMITS } = require('../config/constants');
+
+// Matches "today", "this week", "show my expenses for last month", "september's spending", "report 2025",
+// "how much did I spend in 1 oct to 15 oct?"; the period itself is parsed by DateUtils.parsePeriod
+const REPORT_PATTERNS = [
+    /^(?:(?:show|list)\s+)?(?:my\s+)?(?:(?:expenses|spending|summary|report)\s+)?(?:(?:for|in|on|during)\s+)?(?<period>.+?)(?:'s)?(?:\s+(?:expenses|spending|total|summary|report))?\s*\??$/i,
+    /^how much (?:did i |have i )?(?:spend|spent)\s+(?:(?:in|on|during)\s+)?(?<period>.+?)\s*\??$/i
+];
+
+function formatMoney(amount) {
+    return `₹${amount.toFixed(2)}`;
+}
+
+// "💰 Net: +₹37000.00 (62% saved)" for one month or the whole range
+function formatNet(income, expenses) {
+    const net = income - expenses;
+    const sign = net < 0 ? '-' : '+';
+    const rate = income > 0 ? ` (${Math.round((net / income) * 100)}% saved)` : '';
+    return `💰 Net: ${sign}${formatMoney(Math.abs(net))}${rate}`;
+}
+
+// Groups located expenses into places: the same place name, or coordinates within
+// PLACE_RADIUS_METERS of a place's first pin. Biggest spend first.
+function groupByPlace(expenses) {
+    const places = [];
+    for (const expense of expenses) {
+        const name = expense.location ? expense.location.trim() : null;
+        const hasPin = expense.latitude !== null && expense.longitude !== null;
+
+        let place = name && places.find(p => p.name && p.name.toLowerCase() === name.toLowerCase());
+        if (!place && hasPin) {
+            place = places.find(p => p.latitude !== null &&
+                Helpers.distanceMeters(p.latitude, p.longitude, expense.latitude, expense.longitude) <= LIMITS.PLACE_RADIUS_METERS);
+        }
+        if (!place) {
+            place = { name: null, latitude: null, longitude: null, total: 0, count: 0 };
+            places.push(place);
+        }
+
+        if (!place.name && name) place.name = name;
+        if (place.latitude === null && hasPin) {
+            place.latitude = expense.latitude;
+            place.longitude = expense.longitude;
+        }
+        place.total += expense.amount;
+        place.count++;
+    }
+    return places.sort((a, b) => b.total - a.total);
+}
+
+// " · #goa #friends" after a report title when it is filtered by tags
+function tagSuffix(tags) {
+    return tags.length > 0 ? ` · ${Helpers.formatTags(tags)}` : '';
+}
+
+module.exports = [
+    {
+        name: 'report',
+        patterns: REPORT_PATTERNS,
+        args: { period: 'period' },
+        strictArgs: true,
+        keywords: ['today', 'week', 'month', 'year', 'summary', 'report'],
+        usage: '[period]',
+        description: 'Expenses for today, this week, last month, september, 1 oct to 15 oct or 2025',
+        examples: ['today', 'this week', 'last month', 'september', '1 oct to 15 oct', '2025', 'this month #goa'],
+        group: 'reports',
+        handler: async ({ userPhone, args, tags }) => {
+            const range = await databaseService.resolvePeriod(userPhone, args.period);
+            if (!range) {
+                await whatsappService.sendMessage(userPhone, "⚠️ That date doesn't exist. Try \"1 oct to 15 oct\" or \"last month\".");
+                return;
+            }
+
+            const expenses = await databaseService.getExpensesInRange(userPhone, range, tags);
+            const summary = whatsappService.formatExpenseSummary(expenses);
+            const dates = range.start === range.end
+                ? DateUtils.formatDisplay(range.start)
+                : `${DateUtils.formatDisplay(range.start)} – ${DateUtils.formatDisplay(range.end)}`;
+            const subtitle = dates === range.label ? '' : `\n_${dates}_`;
+
+            await whatsappService.sendMessage(userPhone, `📅 *${range.label}*${tagSuffix(tags)}${subtitle}\n\n${summary}`);
+        }
+    },
+    {
+        name: 'insights',
+        patterns: [/^(?:show\s+)?(?:my\s+)?(?:spending\s+)?insights\s*\??$/i],
+        keywords: ['insights'],
+        usage: 'insights',
+        description: 'AI spending analysis',
+        group: 'reports',
+        handler: async ({ userPhone }) => {
+            await whatsappService.sendMessage(userPhone, "🧠 Analyzing your spending patterns...");
+
+            const month = await databaseService.resolvePeriod(userPhone, { kind: 'month', offset: 0 });
+            const recentExpenses = await databaseService.getExpensesInRange(userPhone, month);
+            const insights = await groqService.generateInsights(recentExpenses);
+            await whatsappService.sendMessage(userPhone, `💡 *Your Spending Insights*\n\n${insights}`);
+        }
+    },
+    {
+        name: 'cashflow',
+        patterns: [/^(?:show\s+)?(?:my\s+)?cash\s*flow(?:\s+(?:for|in|during)?\s*(?<period>.+?))?\s*\??$/i],
+        args: { period: 'period' },
+        keywords: ['cashflow', 'cash flow'],
+        usage: 'cashflow [period]',
+        description: 'Income, spending and savings rate per month (last 6 months by default)',
+        examples: ['cashflow', 'cashflow 2025'],
+        group: 'reports',
+        handler: async ({ userPhone, args, tags }) => {
+            let range;
+            if (args.period) {
+                range = await databaseService.resolvePeriod(userPhone, args.period);
+            } else {
+                const month = await databaseService.resolvePeriod(userPhone, { kind: 'month', offset: 0 });
+                range = { start: DateUtils.addMonths(month.start, -5), end: month.end, label: 'Last 6 Months' };
+            }
+            if (!range) {
+                await whatsappService.sendMessage(userPhone, "⚠️ That date doesn't exist. Try \"cashflow\" or \"cashflow 2025\".");
+                return;
+            }
+
+            const title = `💸 *Cash Flow - ${range.label}*${tagSuffix(tags)}`;
+            const months = await databaseService.getCashflow(userPhone, range, tags);
+            if (months.length === 0) {
+                await whatsappService.sendMessage(userPhone,
+                    `${title}\n\nNothing logged in this period. Log income with "received salary 60000".`);
+                return;
+            }
+
+            const lines = months.map(m => {
+                const [year, month] = m.month.split('-');
+                const title = `${DateUtils.monthName(parseInt(month, 10) - 1).substring(0, 3)} ${year}`;
+                return `*${title}*\n💵 In: ${formatMoney(m.income)}\n💸 Out: ${formatMoney(m.expenses)}\n${formatNet(m.income, m.expenses)}`;
+            });
+
+            const income = months.reduce((sum, m) => sum + m.income, 0);
+            const expenses = months.reduce((sum, m) => sum + m.expenses, 0);
+            const total = months.length > 1
+                ? `\n\n*Total*\n💵 In: ${formatMoney(income)}\n💸 Out: ${formatMoney(expenses)}\n${formatNet(income, expenses)}`
+                : '';
+
+            await whatsappService.sendMessage(userPhone, `${title}\n\n${lines.join('\n\n')}${total}`);
+        }
+    },
+    {
+        name: 'places',
+        patterns: [
+            /^where\s+(?:did|do|have)\s+i\s+(?:spend|spent)(?:\s+(?:my\s+)?money)?(?:\s+(?:in|on|during|for))?(?:\s+(?<period>.+?))?\s*\??$/i,
+            /^(?:show\s+)?(?:my\s+)?(?:spending\s+by\s+place|places)(?:\s+(?:for|in|during))?(?:\s+(?<period>.+?))?\s*\??$/i
+        ],
+        args: { period: 'period' },
+        // Other "where..." questions fall through to the question command
+        strictArgs: true,
+        keywords: ['where', 'places'],
+        usage: 'where did I spend [period]',
+        description: 'Spending grouped by the places you shared (this month by default)',
+        examples: ['where did I spend this month', 'where did I spend last week'],
+        group: 'reports',
+        handler: async ({ userPhone, args, tags }) => {
+            const range = await databaseService.resolvePeriod(userPhone, args.period || { kind: 'month', offset: 0 });
+            if (!range) {
+                await whatsappService.sendMessage(userPhone, "⚠️ That date doesn't exist. Try \"where did I spend this month\".");
+                return;
+            }
+
+            const title = `🗺️ *Where You Spent - ${range.label}*${tagSuffix(tags)}`;
+            const places = groupByPlace(await databaseService.getLocatedExpenses(userPhone, range, tags));
+            if (places.length === 0) {
+                await whatsappService.sendMessage(userPhone,
+                    `${title}\n\nNo expenses with a location in this period. Share your location (📎 → Location) right after logging an expense to add one.`);
+                return;
+            }
+
+            const lines = places.slice(0, 10).map(place => {
+                const label = place.name || `Pin at ${place.latitude.toFixed(4)}, ${place.longitude.toFixed(4)}`;
+                return `📍 *${label}*\n   ${formatMoney(place.total)} · ${place.count} ${place.count === 1 ? 'expense' : 'expenses'}`;
+            });
+            const more = places.length > 10 ? `\n\n... and ${places.length - 10} more places` : '';
+
+            await whatsappService.sendMessage(userPhone, `${title}\n\n${lines.join('\n')}${more}`);
+        }
+    },
+    {
+        name: 'tags',
+        patterns: [/^(?:show\s+)?(?:my\s+)?tags$/i],
+        keywords: ['tags'],
+        usage: 'tags',
+        description: 'Spending per hashtag',
+        group: 'reports',
+        handler: async ({ userPhone }) => {
+            const totals = await databaseService.getTagTotals(userPhone);
+            if (totals.length === 0) {
+                await whatsappService.sendMessage(userPhone,
+                    '🏷️ No tags yet. Add hashtags when you log, e.g. "spent 400 on dinner #goa", or "tag last #goa".');
+                return;
+            }
+
+            const lines = totals.slice(0, 20).map(t => {
+                const count = parseInt(t.count, 10);
+                return `• #${t.tag}: ${formatMoney(t.total)} (${count} ${count === 1 ? 'expense' : 'expenses'})`;
+            });
+            await whatsappService.sendMessage(userPhone,
+                `🏷️ *Your Tags*\n\n${lines.join('\n')}\n\nAdd a tag to any report: "this month #goa", "export 2025 #work".`);
+        }
+    },
+    {
+        name: 'search',
+        // The query may be left out when searching by tag alone ("search #goa")
+        patterns: [/^search(?:\s+(?<query>.{2,}))?$/i],
+        keywords: ['search'],
+        usage: 'search [text] [#tag]',
+        description: 'Find expenses by merchant, description, category or tag',
+        examples: ['search swiggy', 'search #goa'],
+        group: 'reports',
+        handler: async ({ userPhone, args, tags }) => {
+            if (!args.query && tags.length === 0) {
+                await whatsappService.sendMessage(userPhone, '⚠️ What should I search for? Try "search swiggy" or "search #goa".');
+                return;
+            }
+
+            const terms = [args.query && `"${args.query}"`, Helpers.formatTags(tags)].filter(Boolean).join(' ');
+            await whatsappService.sendMessage(userPhone, `🔍 Searching for ${terms}...`);
+            const results = await databaseService.searchExpenses(userPhone, args.query, tags);
+
+            const summary = whatsappService.formatExpenseSummary(results);
+            await whatsappService.sendMessage(userPhone, `🔎 *Search Results*${tagSuffix(tags)}\n\n${summary}`);
+        }
+    },
+    {
+        name: 'receipt items',
+        patterns: [
+            /^(?:show\s+)?(?:the\s+)?items(?:\s+(?:of|from|in|on)\s+(?:the\s+|my\s+)?last\s+(?:receipt|bill))?\s*\??$/i,
+            /^(?:show\s+)?(?:the\s+|my\s+)?last\s+(?:receipt|bill)(?:'s)?(?:\s+items)?\s*\??$/i
+        ],
+        keywords: ['items'],
+        usage: 'show items of last receipt',
+        description: 'Line items of your last scanned receipt',
+        group: 'reports',
+        handler: async ({ userPhone }) => {
+            const receipt = await databaseService.getLastReceipt(userPhone);
+            if (!receipt) {
+                await whatsappService.sendMessage(userPhone, "🧾 No receipts with items yet. Send a receipt photo to get started.");
+                return;
+            }
+
+            const items = await databaseService.getExpenseItems(receipt.id);
+            const check = Validator.checkLineItemTotals(items, receipt.amount);
+            const note = check && !check.matches
+                ? `\n\n⚠️ Items add up to ₹${check.itemsTotal.toFixed(2)} (difference ₹${check.difference.toFixed(2)})`
+                : '';
+
+            await whatsappService.sendMessage(userPhone,
+                `🧾 *${receipt.merchant || 'Receipt'}* - ${DateUtils.formatDisplay(receipt.date)}\n\n${whatsappService.formatLineItems(items)}\n\n💰 Total: ₹${receipt.amount}${note}`);
+        }
+    },
+    {
+        name: 'receipt',
+        patterns: [/^(?:show\s+|send\s+)?(?:the\s+|my\s+)?(?:receipt|bill)(?:\s+(?:for\s+|of\s+)?(?<id>\d+))?\s*\??$/i],
+        args: { id: 'integer' },
+        keywords: ['receipt'],
+        usage: 'receipt [expense id]',
+        description: 'Get the original photo or PDF of a scanned receipt (the last one by default)',
+        examples: ['receipt 42', 'show receipt'],
+        group: 'reports',
+        handler: async ({ userPhone, args }) => {
+            const receipt = await receiptStorage.getReceipt(userPhone, args.id ?? null);
+            if (!receipt) {
+                await whatsappService.sendMessage(userPhone, args.id
+                    ? `🧾 I don't have the original receipt for expense ${args.id}.`
+                    : "🧾 No saved receipts yet. Send a receipt photo or PDF and I'll keep the original.");
+                return;
+            }
+
+            const caption = `🧾 ₹${receipt.amount} - ${receipt.merchant || receipt.category} (${DateUtils.formatDisplay(receipt.date)})`;
+            const filename = `receipt-${receipt.expense_id}.${receipt.storage_key.split('.').pop()}`;
+            try {
+                const mediaId = await whatsappService.uploadMedia(receipt.buffer, receipt.mime_type, filename);
+                // WhatsApp only shows JPEG and PNG as photos; anything else goes back as a file
+                if (['image/jpeg', 'image/png'].includes(receipt.mime_type)) {
+                    await whatsappService.sendImage(userPhone, mediaId, caption);
+                } else {
+                    await whatsappService.sendDocument(userPhone, mediaId, filename, caption);
+                }
+            } catch (error) {
+                logger.error(`Sending receipt ${receipt.expense_id} failed for ${userPhone}:`, error);
+                await whatsappService.sendMessage(userPhone, "⚠️ I couldn't send the receipt. Please try again later.");
+            }
+        }
+    }
+];
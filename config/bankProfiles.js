@@ -0,0 +1,52 @@
+// Column layouts of bank and credit-card statement CSVs.
+// Header names are compared lowercased with spaces collapsed; a profile is used when every
+// header in `detect` is present. Statements that match no profile fall back to AUTO_DETECT.
+const BANK_PROFILES = [
+    {
+        id: 'hdfc',
+        name: 'HDFC Bank',
+        detect: ['narration', 'withdrawal amt.', 'deposit amt.'],
+        columns: { date: 'date', description: 'narration', debit: 'withdrawal amt.', credit: 'deposit amt.' },
+        dateOrder: 'dmy'
+    },
+    {
+        id: 'icici',
+        name: 'ICICI Bank',
+        detect: ['transaction remarks', 'withdrawal amount (inr )', 'deposit amount (inr )'],
+        columns: { date: 'transaction date', description: 'transaction remarks', debit: 'withdrawal amount (inr )', credit: 'deposit amount (inr )' },
+        dateOrder: 'dmy'
+    },
+    {
+        id: 'sbi',
+        name: 'SBI',
+        detect: ['txn date', 'description', 'debit', 'credit'],
+        columns: { date: 'txn date', description: 'description', debit: 'debit', credit: 'credit' },
+        dateOrder: 'dmy'
+    },
+    {
+        id: 'axis',
+        name: 'Axis Bank',
+        detect: ['tran date', 'particulars', 'dr', 'cr'],
+        columns: { date: 'tran date', description: 'particulars', debit: 'dr', credit: 'cr' },
+        dateOrder: 'dmy'
+    },
+    {
+        id: 'hdfc-card',
+        name: 'HDFC Credit Card',
+        detect: ['transaction description', 'amount', 'debit / credit'],
+        columns: { date: 'date', description: 'transaction description', amount: 'amount', type: 'debit / credit' },
+        dateOrder: 'dmy'
+    }
+];
+
+// Header names tried, in order, for each field when no profile matches
+const AUTO_DETECT = {
+    date: ['date', 'txn date', 'transaction date', 'tran date', 'posting date', 'value date', 'value dt'],
+    description: ['description', 'narration', 'particulars', 'transaction remarks', 'remarks', 'details', 'transaction details', 'merchant'],
+    debit: ['debit', 'withdrawal', 'withdrawal amt.', 'withdrawal amount', 'debit amount', 'dr', 'amount debited'],
+    credit: ['credit', 'deposit', 'deposit amt.', 'deposit amount', 'credit amount', 'cr', 'amount credited'],
+    amount: ['amount', 'transaction amount', 'amount (inr)', 'amt'],
+    type: ['type', 'dr/cr', 'cr/dr', 'debit/credit', 'debit / credit', 'transaction type']
+};
+
+module.exports = { BANK_PROFILES, AUTO_DETECT };
@@ -1,24 +1,70 @@
 module.exports = {
-    // Expense categories
-    CATEGORIES: {
-        FOOD: 'food',
-        TRANSPORT: 'transport',
-        SHOPPING: 'shopping',
-        ENTERTAINMENT: 'entertainment',
-        HEALTHCARE: 'healthcare',
-        UTILITIES: 'utilities',
-        OTHER: 'other'
+    // Categories every user has; users add their own and subcategories on top (services/categories.js)
+    DEFAULT_CATEGORIES: [
+        { name: 'food', emoji: '🍔' },
+        { name: 'transport', emoji: '🚗' },
+        { name: 'shopping', emoji: '🛒' },
+        { name: 'entertainment', emoji: '🎬' },
+        { name: 'healthcare', emoji: '🏥' },
+        { name: 'utilities', emoji: '⚡' },
+        { name: 'rent', emoji: '🏠' },
+        { name: 'other', emoji: '📦' },
+        { name: 'salary', emoji: '💼' },
+        { name: 'income', emoji: '💰' }
+    ],
+
+    // Joins a category and its subcategory: "food > dining out"
+    CATEGORY_SEPARATOR: ' > ',
+
+    // Budget periods and the calendar period each one covers
+    BUDGET_PERIODS: {
+        weekly: 'week',
+        monthly: 'month',
+        yearly: 'year'
     },
 
-    // Category emojis
-    CATEGORY_EMOJIS: {
-        food: '🍔',
-        transport: '🚗',
-        shopping: '🛒',
-        entertainment: '🎬',
-        healthcare: '🏥',
-        utilities: '⚡',
-        other: '📦'
+    // Categories whose entries are money coming in rather than spending
+    INCOME_CATEGORIES: ['salary', 'income'],
+
+    // Category name of a budget that caps spending across all categories
+    OVERALL_BUDGET: 'total',
+
+    // Words that point to a category when it is not named outright
+    CATEGORY_KEYWORDS: {
+        food: ['food', 'lunch', 'dinner', 'breakfast', 'snacks', 'restaurant', 'restaurants', 'eating out', 'groceries', 'grocery', 'coffee', 'tea',
+            'coffees', 'chai', 'pizza', 'burger', 'biryani', 'juice', 'milk', 'bread', 'fruits', 'vegetables'],
+        transport: ['transport', 'travel', 'cab', 'cabs', 'taxi', 'auto', 'bus', 'metro', 'train', 'fuel', 'petrol', 'diesel', 'parking',
+            'rickshaw', 'flight', 'toll'],
+        shopping: ['shopping', 'clothes', 'shoes', 'electronics', 'shirt', 'jeans', 'gift', 'gifts'],
+        entertainment: ['entertainment', 'movies', 'movie', 'games', 'concert', 'party'],
+        healthcare: ['healthcare', 'health', 'medical', 'medicine', 'medicines', 'doctor', 'pharmacy', 'hospital'],
+        utilities: ['utilities', 'bills', 'electricity', 'water bill', 'internet', 'wifi', 'recharge', 'gas'],
+        rent: ['rent'],
+        other: ['other', 'misc', 'miscellaneous']
+    },
+
+    // Well-known merchants and the category their expenses usually belong to
+    MERCHANT_KEYWORDS: {
+        swiggy: 'food',
+        zomato: 'food',
+        blinkit: 'food',
+        zepto: 'food',
+        bigbasket: 'food',
+        dmart: 'shopping',
+        uber: 'transport',
+        ola: 'transport',
+        rapido: 'transport',
+        irctc: 'transport',
+        amazon: 'shopping',
+        flipkart: 'shopping',
+        myntra: 'shopping',
+        netflix: 'entertainment',
+        hotstar: 'entertainment',
+        bookmyshow: 'entertainment',
+        pharmeasy: 'healthcare',
+        apollo: 'healthcare',
+        jio: 'utilities',
+        airtel: 'utilities'
     },
 
     // Message types
@@ -31,6 +77,9 @@ module.exports = {
         LOCATION: 'location'
     },
 
+    // Document types read as receipts (PDF invoices, e-receipts, images sent as files)
+    RECEIPT_MIME_TYPES: ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+
     // API limits
     LIMITS: {
         MAX_AMOUNT: 1000000, // $1M
@@ -38,6 +87,12 @@ module.exports = {
         MAX_MERCHANT_LENGTH: 100,
         MAX_ITEMS_COUNT: 50,
         MAX_IMAGE_SIZE: 16 * 1024 * 1024, // 16MB
+        MAX_DOCUMENT_SIZE: 5 * 1024 * 1024, // 5MB
+        MAX_IMPORT_ROWS: 5000, // statement rows per file
+        LOCATION_ATTACH_WINDOW: 10 * 60 * 1000, // 10 minutes after logging an expense
+        PLACE_RADIUS_METERS: 200, // coordinates this close count as one place
+        DUPLICATE_WINDOW_DAYS: 1, // same amount and merchant this many days apart looks like a duplicate
+        PENDING_CONFIRMATION_TTL: 10 * 60 * 1000, // a yes/no question is forgotten after 10 minutes
         RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes
         RATE_LIMIT_MAX: 100 // requests per window
     },
@@ -20,7 +20,7 @@ async function setupDatabase() {
         const expenseId = await database.saveExpense('setup_test', testExpense);
         console.log('✅ Database write test successful! Expense ID:', expenseId);
         
-        const expenses = await database.getTodayExpenses('setup_test');
+        const expenses = await database.getExpensesInRange('setup_test', { start: testExpense.date, end: testExpense.date });
         console.log('✅ Database read test successful! Found', expenses.length, 'test expenses');
         
         console.log('\n📊 Database is ready for use!');
@@ -6,10 +6,20 @@ const helmet = require('helmet');
 // Import services
 const whatsappService = require('./services/whatsapp');
 const geminiService = require('./services/gemini');
-const groqService = require('./services/groq');
+const llmService = require('./services/llm');
 const databaseService = require('./services/database');
+const statementImporter = require('./services/statementImporter');
+const categoryRules = require('./services/categoryRules');
+const categoryService = require('./services/categories');
+const speechService = require('./services/speech');
+const expenseRecorder = require('./services/expenseRecorder');
+const conversationState = require('./services/conversation');
+const scheduler = require('./services/scheduler');
+const commandRouter = require('./commands');
 const logger = require('./utils/logger');
 const Validator = require('./utils/validator');
+const Helpers = require('./utils/helpers');
+const { LIMITS, RECEIPT_MIME_TYPES } = require('./config/constants');
 
 // Import middleware
 const { verifySignature } = require('./middleware/validation');
@@ -22,9 +32,7 @@ const PORT = process.env.PORT || 3000;
 const requiredEnvVars = [
     'WEBHOOK_VERIFY_TOKEN',
     'META_ACCESS_TOKEN',
-    'META_PHONE_NUMBER_ID',
-    'GEMINI_API_KEY',
-    'GROQ_API_KEY'
+    'META_PHONE_NUMBER_ID'
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -34,11 +42,27 @@ if (missingVars.length > 0) {
     process.exit(1);
 }
 
+// Receipts and messages need a model: Gemini, Groq or an OpenAI-compatible server
+const tasksWithoutLlm = ['vision', 'text'].filter(task => llmService.providerNames(task).length === 0);
+if (tasksWithoutLlm.length > 0) {
+    logger.error(`❌ No LLM provider for ${tasksWithoutLlm.join(' and ')}. Set GEMINI_API_KEY and GROQ_API_KEY, or OPENAI_BASE_URL (plus OPENAI_VISION_MODEL for receipts).`);
+    process.exit(1);
+}
+
 if (!process.env.META_APP_SECRET && process.env.NODE_ENV === 'production') {
     logger.error('❌ META_APP_SECRET is required in production for webhook signature verification');
     process.exit(1);
 }
 
+// The stub transcribes every voice note to the same fixed text; it is only for local runs and tests
+if (speechService.provider.name === 'stub') {
+    if (!process.env.STT_PROVIDER && process.env.NODE_ENV === 'production') {
+        logger.error('❌ No speech-to-text provider for voice notes. Set GROQ_API_KEY, or STT_PROVIDER=stub to run without one.');
+        process.exit(1);
+    }
+    logger.warn('⚠️ Voice notes go to the stub speech-to-text provider, which returns a fixed transcript. Set GROQ_API_KEY to transcribe them.');
+}
+
 logger.info('✅ All required environment variables are configured');
 
 // Trust proxy for reverse proxy environments (Render, Heroku, etc.)
@@ -172,6 +196,18 @@ async function processMessage(message, metadata) {
             case 'image':
                 await handleImageMessage(userPhone, message.image, messageId);
                 break;
+            case 'document':
+                await handleDocumentMessage(userPhone, message.document, messageId);
+                break;
+            case 'audio':
+                await handleAudioMessage(userPhone, message.audio, messageId);
+                break;
+            case 'location':
+                await handleLocationMessage(userPhone, message.location);
+                break;
+            case 'interactive':
+                await handleInteractiveMessage(userPhone, message.interactive);
+                break;
             default:
                 await whatsappService.sendMessage(userPhone,
                     "I can help you track expenses! Send a receipt photo or type 'help' for commands.");
@@ -183,192 +219,108 @@ async function processMessage(message, metadata) {
     }
 }
 
-// Handle text messages
-async function handleTextMessage(userPhone, messageText, messageId) {
-    const msgLower = messageText.toLowerCase().trim();
-
-    console.log(`Processing text: "${messageText}"`);
+// Handle text messages; source is 'voice' when the text is a voice-note transcript
+async function handleTextMessage(userPhone, messageText, messageId, source = 'text') {
+    console.log(`Processing ${source}: "${messageText}"`);
 
     try {
-        // Budget commands
-        if (msgLower.startsWith('set budget')) {
-            // Format: "set budget food 5000"
-            const parts = msgLower.split(' ');
-            if (parts.length >= 4) {
-                const category = parts[2].toLowerCase();
-                const amount = parseFloat(parts[3]);
-
-                if (Validator.validateCategory(category) && Validator.validateAmount(amount)) {
-                    await databaseService.setBudget(userPhone, category, amount);
-                    await whatsappService.sendMessage(userPhone, `✅ Budget set for *${category}*: ₹${amount}`);
-                } else {
-                    await whatsappService.sendMessage(userPhone, "❌ Invalid category or amount. Try: \"set budget food 5000\"");
-                }
-            } else {
-                await whatsappService.sendMessage(userPhone, "⚠️ Usage: \"set budget [category] [amount]\"\nExample: \"set budget food 5000\"");
-            }
-            return;
-
-        } else if (msgLower === 'budget' || msgLower === 'budgets' || msgLower.includes('budget status')) {
-            const status = await databaseService.getBudgetStatus(userPhone);
-            if (status.length === 0) {
-                await whatsappService.sendMessage(userPhone, "📊 No budgets set. Start by sending: \"set budget food 5000\"");
-            } else {
-                let msg = "📊 *Monthly Budget Status*\n\n";
-                status.forEach(b => {
-                    const percent = Math.round((b.spent / b.budget_limit) * 100);
-                    const bar = '▓'.repeat(Math.floor(percent / 10)) + '░'.repeat(10 - Math.floor(percent / 10));
-                    msg += `*${b.category}*: ${percent}%\n${bar}\n₹${b.spent} / ₹${b.budget_limit}\n\n`;
-                });
-                await whatsappService.sendMessage(userPhone, msg);
-            }
-            return;
-        }
-
-
-        // Edit/Delete commands
-        if (msgLower === 'delete last' || msgLower === 'undo') {
-            const lastExpense = await databaseService.getLastExpense(userPhone);
-            if (!lastExpense) {
-                await whatsappService.sendMessage(userPhone, "⚠️ No expenses found to delete.");
-            } else {
-                await databaseService.deleteExpense(lastExpense.id, userPhone);
-                await whatsappService.sendMessage(userPhone, `🗑️ Deleted last expense: ₹${lastExpense.amount} (${lastExpense.category})`);
-            }
+        // An answer to a question the bot asked (amount, category, save anyway?) is not a command
+        if (await conversationState.handleReply(userPhone, messageText)) return;
+
+        // Hashtags are tags for the command, not part of its grammar
+        const { text, tags } = Helpers.extractTags(messageText);
+        const categories = await categoryService.names(userPhone);
+        const match = commandRouter.match(text, { categories });
+        // Replies that don't act on a voice note say what was heard, so mishearings are obvious
+        const heard = source === 'voice' ? `🎙️ I heard: "${messageText}"\n\n` : '';
+
+        if (!match) {
+            await whatsappService.sendMessage(userPhone, heard + commandRouter.formatUnknown(messageText));
             return;
         }
 
-        if (msgLower.startsWith('edit last amount ')) {
-            const amount = parseFloat(msgLower.split(' ')[3]);
-            if (!Validator.validateAmount(amount)) {
-                await whatsappService.sendMessage(userPhone, "❌ Invalid amount.");
-                return;
-            }
-            const lastExpense = await databaseService.getLastExpense(userPhone);
-            if (!lastExpense) {
-                await whatsappService.sendMessage(userPhone, "⚠️ No expenses found to edit.");
-            } else {
-                await databaseService.updateExpense(lastExpense.id, userPhone, { amount });
-                await whatsappService.sendMessage(userPhone, `✅ Updated amount to ₹${amount}`);
-            }
+        if (match.incomplete || match.errors.length > 0) {
+            await whatsappService.sendMessage(userPhone, heard + commandRouter.formatUsage(match.command, match.errors));
             return;
         }
 
-        if (msgLower.startsWith('edit last category ')) {
-            const category = msgLower.split(' ')[3];
-            if (!Validator.validateCategory(category)) {
-                await whatsappService.sendMessage(userPhone, `❌ Invalid category. Valid: ${Validator.VALID_CATEGORIES?.join(', ') || 'food, transport, etc.'}`);
-                return;
-            }
-            const lastExpense = await databaseService.getLastExpense(userPhone);
-            if (!lastExpense) {
-                await whatsappService.sendMessage(userPhone, "⚠️ No expenses found to edit.");
-            } else {
-                await databaseService.updateExpense(lastExpense.id, userPhone, { category });
-                await whatsappService.sendMessage(userPhone, `✅ Updated category to ${category}`);
-            }
-            return;
-        }
+        await match.command.handler({ userPhone, messageId, text, args: match.args, tags, source, categories });
 
+    } catch (error) {
+        console.error('Error in handleTextMessage:', error);
+        await whatsappService.sendMessage(userPhone,
+            "Something went wrong processing your message. Please try again.");
+    }
+}
 
+// Handle reply-button taps; buttons always answer the question in the conversation state
+async function handleInteractiveMessage(userPhone, interactive) {
+    const buttonId = interactive?.button_reply?.id;
+    if (!buttonId) return;
 
-        if (msgLower.startsWith('search ')) {
-            const query = messageText.slice(7).trim();
-            if (query.length < 2) {
-                await whatsappService.sendMessage(userPhone, "⚠️ Search term too short.");
-                return;
-            }
+    try {
+        const handled = await conversationState.handleReply(userPhone, buttonId);
+        if (!handled) {
+            await whatsappService.sendMessage(userPhone,
+                "⌛ That expense isn't waiting anymore (it expires after 10 minutes). Please send it again.");
+        }
+    } catch (error) {
+        logger.error('Error handling button reply:', error);
+        await whatsappService.sendMessage(userPhone, "Something went wrong. Please try again.");
+    }
+}
 
-            await whatsappService.sendMessage(userPhone, `🔍 Searching for "${query}"...`);
-            const results = await databaseService.searchExpenses(userPhone, query);
+// Handle audio messages (voice notes): transcribe, then treat the transcript like a typed message
+async function handleAudioMessage(userPhone, audioData, messageId) {
+    logger.info(`Processing voice note from ${userPhone}`);
 
-            const summary = whatsappService.formatExpenseSummary(results);
-            await whatsappService.sendMessage(userPhone, `🔎 *Search Results*\n\n${summary}`);
+    try {
+        const audioBuffer = await whatsappService.downloadMedia(audioData.id);
+        if (audioBuffer.length > LIMITS.MAX_IMAGE_SIZE) {
+            await whatsappService.sendMessage(userPhone, "⚠️ That voice note is too long. Please keep it short or type your expense.");
             return;
         }
 
-        if (msgLower.includes('spent') || msgLower.includes('paid') || msgLower.includes('bought') || msgLower.startsWith('cab ') || msgLower.startsWith('uber ')) {
-            await whatsappService.sendMessage(userPhone, "💭 Processing your expense...");
-
-            // Parse expense with Groq
-            const expenseData = await groqService.parseTextExpense(messageText);
-
-            // Validate parsed data
-            const validationErrors = Validator.validateExpenseData(expenseData);
-
-            if (validationErrors.length === 0) {
-                // Save to database
-                await databaseService.saveExpense(userPhone, expenseData);
-
-                // Get today's total
-                const todayTotal = await databaseService.getTodayTotal(userPhone);
-
-                const confirmMsg = `✅ *Expense Saved!*
-💰 Amount: ₹${expenseData.amount}
-📝 Description: ${expenseData.description || 'No description'}
-📂 Category: ${expenseData.category || 'other'}
-${expenseData.merchant ? `🏪 Merchant: ${expenseData.merchant}` : ''}
-
-📊 Today's total: ₹${todayTotal.toFixed(2)}`;
-
-                await whatsappService.sendMessage(userPhone, confirmMsg);
-            } else {
-                logger.warn(`Validation failed for '${messageText}':`, validationErrors);
-                await whatsappService.sendMessage(userPhone,
-                    `⚠️ I understood the amount, but there were issues:\n${validationErrors.join('\n')}\n\nPlease try again with a clearer message.`);
-            }
-
-        } else if (msgLower.includes('today') || msgLower === 'today') {
-            const expenses = await databaseService.getTodayExpenses(userPhone);
-            const summary = whatsappService.formatExpenseSummary(expenses);
-            await whatsappService.sendMessage(userPhone, `📅 *Today's Expenses*\n\n${summary}`);
-
-        } else if (msgLower.includes('week') || msgLower === 'week') {
-            const expenses = await databaseService.getWeekExpenses(userPhone);
-            const summary = whatsappService.formatExpenseSummary(expenses);
-            await whatsappService.sendMessage(userPhone, `📅 *This Week's Expenses*\n\n${summary}`);
-
-        } else if (msgLower.includes('month') || msgLower === 'month') {
-            const expenses = await databaseService.getMonthExpenses(userPhone);
-            const summary = whatsappService.formatExpenseSummary(expenses);
-            await whatsappService.sendMessage(userPhone, `📅 *This Month's Expenses*\n\n${summary}`);
-
-        } else if (msgLower.includes('insights') || msgLower === 'insights') {
-            await whatsappService.sendMessage(userPhone, "🧠 Analyzing your spending patterns...");
-
-            const recentExpenses = await databaseService.getMonthExpenses(userPhone);
-            const insights = await groqService.generateInsights(recentExpenses);
-            await whatsappService.sendMessage(userPhone, `💡 *Your Spending Insights*\n\n${insights}`);
-
-        } else if (msgLower.includes('help') || msgLower === 'hi' || msgLower === 'hello') {
-            const helpMsg = `👋 *Welcome to AI Expense Tracker!*
-
-📸 *Send receipt photos* - I'll extract details automatically
-
-✍️ *Type expenses* like:
-• "Spent 250 on lunch"
-• "Paid 500 for groceries"
-• "Bus fare 30 rupees"
-
-📊 *Check your spending:*
-• *today* - Today's expenses
-• *week* - This week's expenses  
-• *month* - This month's expenses
-• *insights* - AI spending analysis
+        const mimeType = (audioData.mime_type || 'audio/ogg').split(';')[0].trim();
+        const transcript = await speechService.transcribe(audioBuffer, mimeType);
+        if (!transcript) {
+            await whatsappService.sendMessage(userPhone,
+                "🎙️ Sorry, I couldn't make out that voice note. Try again or type it, e.g. \"Spent 200 on auto\".");
+            return;
+        }
 
-Just send a message or photo to get started! 🚀`;
+        await handleTextMessage(userPhone, transcript, messageId, 'voice');
+    } catch (error) {
+        logger.error('Error processing voice note:', error);
+        await whatsappService.sendMessage(userPhone,
+            "⚠️ Error processing your voice note. Please try again or type your expense.");
+    }
+}
 
-            await whatsappService.sendMessage(userPhone, helpMsg);
+// Handle shared locations: attached to the expense logged just before
+async function handleLocationMessage(userPhone, locationData) {
+    const location = {
+        name: locationData.name || locationData.address || null,
+        latitude: locationData.latitude,
+        longitude: locationData.longitude
+    };
+    const windowMinutes = Math.round(LIMITS.LOCATION_ATTACH_WINDOW / 60000);
 
-        } else {
+    try {
+        const expense = await databaseService.attachLocation(userPhone, location, LIMITS.LOCATION_ATTACH_WINDOW);
+        if (!expense) {
             await whatsappService.sendMessage(userPhone,
-                "🤔 I didn't understand that. Send \"help\" to see commands or try:\n\n• Send receipt photo\n• Type \"Spent 250 on lunch\"\n• Ask \"today\"");
+                `📍 Got your location, but you haven't logged an expense in the last ${windowMinutes} minutes. Log the expense first, then share where you spent it.`);
+            return;
         }
 
-    } catch (error) {
-        console.error('Error in handleTextMessage:', error);
+        const place = location.name || `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`;
+        const what = expense.merchant || expense.description || expense.category;
         await whatsappService.sendMessage(userPhone,
-            "Something went wrong processing your message. Please try again.");
+            `📍 Location saved!\n₹${expense.amount} - ${what}\n🗺️ ${place}\n\nAsk "where did I spend this month" to see spending by place.`);
+    } catch (error) {
+        logger.error('Error saving location:', error);
+        await whatsappService.sendMessage(userPhone, "⚠️ I couldn't save that location. Please try again.");
     }
 }
 
@@ -377,44 +329,89 @@ async function handleImageMessage(userPhone, imageData, messageId) {
     logger.info(`Processing receipt image from ${userPhone}`);
 
     await whatsappService.sendMessage(userPhone, "📸 Processing your receipt... Please wait.");
+    await processReceipt(userPhone, imageData.id, imageData.mime_type || 'image/jpeg', imageData.caption);
+}
 
+// Downloads a receipt photo or PDF, extracts it with Gemini Vision and saves it.
+// Hashtags in the caption become the expense's tags.
+async function processReceipt(userPhone, mediaId, mimeType, caption = '') {
     try {
-        // Download image using media ID
-        const imageBuffer = await whatsappService.downloadMedia(imageData.id);
+        // Download file using media ID
+        const fileBuffer = await whatsappService.downloadMedia(mediaId);
+        if (fileBuffer.length > LIMITS.MAX_IMAGE_SIZE) {
+            await whatsappService.sendMessage(userPhone, "⚠️ That file is too large. Please send a receipt under 16 MB.");
+            return;
+        }
 
-        // Extract data using Gemini Vision
-        const receiptData = await geminiService.extractReceiptData(imageBuffer);
+        // Extract data using Gemini Vision (PDFs are read page by page); the user's category rules win
+        const categories = await categoryService.names(userPhone);
+        const receiptData = await geminiService.extractDocumentData(fileBuffer, mimeType, categories);
+        if (receiptData) {
+            receiptData.tags = Helpers.extractTags(caption).tags;
+            await categoryRules.apply(userPhone, receiptData);
+        }
 
         // Validate receipt data
-        const validationErrors = Validator.validateExpenseData(receiptData);
+        const validationErrors = Validator.validateExpenseData(receiptData, categories);
 
         if (validationErrors.length === 0) {
-            // Save to database
-            await databaseService.saveExpense(userPhone, receiptData);
+            await expenseRecorder.record(userPhone, receiptData, {
+                kind: 'receipt',
+                file: { buffer: fileBuffer, mimeType }
+            });
+        } else {
+            logger.warn('Receipt validation failed:', validationErrors);
+            await whatsappService.sendMessage(userPhone,
+                `⚠️ Receipt processed but data was invalid:\n${validationErrors.join('\n')}\n\nPlease try a clearer photo or file.`);
+        }
 
-            // Get today's total
-            const todayTotal = await databaseService.getTodayTotal(userPhone);
+    } catch (error) {
+        logger.error('Error processing receipt:', error);
+        await whatsappService.sendMessage(userPhone,
+            "⚠️ Error processing your receipt. Please try again or type your expense manually.");
+    }
+}
 
-            const confirmMsg = `✅ *Receipt Processed!*
-💰 Amount: ₹${receiptData.amount}
-🏪 Merchant: ${receiptData.merchant || 'Unknown'}
-📂 Category: ${receiptData.category}
-${receiptData.items && receiptData.items.length > 0 ? `\n🛍️ Items: ${receiptData.items.join(', ')}` : ''}
+// Handle document messages: statement CSVs are imported, PDF and image bills are read like photos
+async function handleDocumentMessage(userPhone, documentData, messageId) {
+    const mimeType = (documentData.mime_type || '').split(';')[0].trim().toLowerCase();
+    const isCsv = /csv|comma-separated/.test(mimeType) || /\.csv$/i.test(documentData.filename || '');
+
+    if (isCsv) {
+        await importStatement(userPhone, documentData);
+    } else if (RECEIPT_MIME_TYPES.includes(mimeType)) {
+        logger.info(`Processing receipt document ${documentData.filename || documentData.id} from ${userPhone}`);
+        await whatsappService.sendMessage(userPhone, "📄 Reading your bill... Please wait.");
+        await processReceipt(userPhone, documentData.id, mimeType, documentData.caption);
+    } else {
+        await whatsappService.sendMessage(userPhone,
+            "📄 I can read bills as PDF or image files, and import bank statements as CSV files.");
+    }
+}
 
-📊 Today's total: ₹${todayTotal.toFixed(2)}`;
+async function importStatement(userPhone, documentData) {
+    logger.info(`Importing statement ${documentData.filename || documentData.id} from ${userPhone}`);
+    await whatsappService.sendMessage(userPhone, "📥 Reading your statement... Please wait.");
 
-            await whatsappService.sendMessage(userPhone, confirmMsg);
+    try {
+        const fileBuffer = await whatsappService.downloadMedia(documentData.id);
+        if (fileBuffer.length > LIMITS.MAX_DOCUMENT_SIZE) {
+            await whatsappService.sendMessage(userPhone, "⚠️ That file is too large. Please send a statement under 5 MB.");
+            return;
+        }
 
-        } else {
-            logger.warn('Receipt validation failed:', validationErrors);
+        const result = await statementImporter.import(userPhone, fileBuffer);
+        if (!result) {
             await whatsappService.sendMessage(userPhone,
-                `⚠️ Receipt processed but data was invalid:\n${validationErrors.join('\n')}\n\nPlease try taking a clearer photo.`);
+                "⚠️ I couldn't find date and amount columns in that file. Is it a bank or card statement CSV?");
+            return;
         }
 
+        await whatsappService.sendMessage(userPhone, whatsappService.formatImportSummary(result));
     } catch (error) {
-        logger.error('Error processing receipt:', error);
+        logger.error('Error importing statement:', error);
         await whatsappService.sendMessage(userPhone,
-            "⚠️ Error processing your receipt. Please try again or type your expense manually.");
+            "⚠️ Error importing your statement. Please check the file and try again.");
     }
 }
 
@@ -430,6 +427,12 @@ app.get('/health', (req, res) => {
             gemini: !!process.env.GEMINI_API_KEY,
             groq: !!process.env.GROQ_API_KEY,
             whatsapp: !!process.env.META_ACCESS_TOKEN
+        },
+        stt_provider: speechService.provider.name,
+        llm_providers: {
+            vision: llmService.providerNames('vision'),
+            text: llmService.providerNames('text'),
+            insights: llmService.providerNames('insights')
         }
     });
 });
@@ -457,18 +460,22 @@ app.listen(PORT, () => {
     console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔐 Webhook verify token: ${process.env.WEBHOOK_VERIFY_TOKEN ? 'configured' : 'missing'}`);
     console.log('✅ Server is ready for webhook verification!');
+
+    scheduler.start();
 });
 
 // Graceful shutdown handling
 // Graceful shutdown handling
 process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully');
+    scheduler.stop();
     await databaseService.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     logger.info('SIGINT received, shutting down gracefully');
+    scheduler.stop();
     await databaseService.close();
     process.exit(0);
 });
@@ -0,0 +1,83 @@
+const databaseService = require('./database');
+const whatsappService = require('./whatsapp');
+const categoryService = require('./categories');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const { OVERALL_BUDGET } = require('../config/constants');
+
+// Percentages of a budget that trigger a warning, e.g. BUDGET_ALERT_THRESHOLDS=50,80,100
+const ALERT_THRESHOLDS = (process.env.BUDGET_ALERT_THRESHOLDS || '80,100')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0)
+    .sort((a, b) => a - b);
+
+class BudgetAlertService {
+    /**
+     * Warns the user when a saved expense pushes a budget past a threshold, checking the
+     * expense's category budgets and the overall budget. Each threshold is sent at most once
+     * per budget period. Never throws, so a failed check cannot undo the confirmation of an
+     * expense that is already saved.
+     */
+    async checkExpense(userPhone, expense) {
+        if (Helpers.directionOf(expense) === 'income') return;
+
+        try {
+            const category = expense.category || 'other';
+            // A "food" budget also counts its subcategories ("food > dining out")
+            const budgets = (await databaseService.getBudgetStatus(userPhone))
+                .filter(b => categoryService.isWithin(category, b.category) || b.category === OVERALL_BUDGET)
+                // Backdated expenses don't change the current period
+                .filter(b => !expense.date || (expense.date >= b.range.start && expense.date <= b.range.end));
+
+            for (const budget of budgets) {
+                await this.checkBudget(userPhone, budget);
+            }
+        } catch (error) {
+            logger.error(`Budget alert check failed for ${userPhone}:`, error);
+        }
+    }
+
+    async checkBudget(userPhone, budget) {
+        if (budget.available <= 0) return;
+
+        const percent = (budget.spent / budget.available) * 100;
+        const crossed = ALERT_THRESHOLDS.filter(threshold => percent >= threshold);
+        if (crossed.length === 0) return;
+        if (await databaseService.isBudgetAlertMuted(userPhone, budget.category)) return;
+
+        // Record every crossed threshold so a single large expense produces one message, not several.
+        // Recording before sending stops two expenses saved at once from both alerting.
+        const fresh = [];
+        for (const threshold of crossed) {
+            if (await databaseService.recordBudgetAlert(userPhone, budget.category, budget.period, budget.range.start, threshold)) {
+                fresh.push(threshold);
+            }
+        }
+        if (fresh.length === 0) return;
+
+        try {
+            await whatsappService.sendMessage(userPhone, this.formatAlert(budget, percent));
+        } catch (error) {
+            await databaseService.clearBudgetAlerts(userPhone, budget.category, budget.period, budget.range.start, fresh);
+            throw error;
+        }
+    }
+
+    formatAlert(budget, percent) {
+        const name = budget.category === OVERALL_BUDGET ? 'overall' : budget.category;
+        const spent = budget.spent.toFixed(2);
+        const limit = budget.available.toFixed(2);
+        const mute = `\n\n🔕 Send "mute alerts ${name}" to stop these.`;
+
+        if (percent >= 100) {
+            const over = (budget.spent - budget.available).toFixed(2);
+            return `🚨 *Over budget: ${name}*\nYou've spent ₹${spent} of your ₹${limit} ${budget.period} budget (₹${over} over).${mute}`;
+        }
+
+        const left = (budget.available - budget.spent).toFixed(2);
+        return `⚠️ *Budget alert: ${name}*\nYou've used ${Math.floor(percent)}% of your ${budget.period} budget (₹${spent} / ₹${limit}).\n₹${left} left for the next ${budget.daysLeft} day${budget.daysLeft === 1 ? '' : 's'}.${mute}`;
+    }
+}
+
+module.exports = new BudgetAlertService();
@@ -0,0 +1,132 @@
+const databaseService = require('./database');
+const Helpers = require('../utils/helpers');
+const Validator = require('../utils/validator');
+const { DEFAULT_CATEGORIES, CATEGORY_SEPARATOR } = require('../config/constants');
+
+// Letters first, then letters, digits, spaces, & ' and -
+const NAME_PATTERN = /^[a-z][a-z0-9 &'-]{0,29}$/;
+const DEFAULT_EMOJI = '📦';
+
+// "Food>Dining  Out" -> "food > dining out"
+function normalize(text) {
+    return String(text || '').toLowerCase().split('>')
+        .map(part => part.trim().replace(/\s+/g, ' '))
+        .join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * A user's categories: the defaults plus the ones they added, and subcategories named
+ * "parent > child". Validation, LLM prompts, emojis and budgets all work from this list.
+ * Entries are { name, emoji, custom }; most callers only need the names.
+ */
+class CategoryService {
+    // Defaults first, then added categories, each followed by its subcategories
+    async list(userPhone) {
+        const added = (await databaseService.getCategories(userPhone))
+            .map(row => ({ name: row.name, emoji: row.emoji, custom: true }));
+        const all = [...DEFAULT_CATEGORIES.map(category => ({ ...category, custom: false })), ...added];
+
+        return all
+            .filter(category => !category.name.includes(CATEGORY_SEPARATOR))
+            .flatMap(parent => [parent, ...all.filter(category => this.parentOf(category.name) === parent.name && category !== parent)]);
+    }
+
+    async names(userPhone) {
+        return (await this.list(userPhone)).map(category => category.name);
+    }
+
+    /**
+     * Finds the category a user means: "Food > Dining Out", or just "dining out" when only one
+     * category has that subcategory.
+     * @param {string[]} names - The user's category names; the defaults when not given
+     * @returns {string|null}
+     */
+    resolve(names, text) {
+        const known = names || Validator.VALID_CATEGORIES;
+        const name = normalize(text);
+        if (!name) return null;
+        if (known.includes(name)) return name;
+
+        const subcategories = known.filter(candidate => candidate.endsWith(`${CATEGORY_SEPARATOR}${name}`));
+        return subcategories.length === 1 ? subcategories[0] : null;
+    }
+
+    parentOf(name) {
+        return String(name || '').split(CATEGORY_SEPARATOR)[0];
+    }
+
+    // Whether an expense's category counts towards a category: itself or one of its subcategories
+    isWithin(name, category) {
+        return name === category || String(name || '').startsWith(`${category}${CATEGORY_SEPARATOR}`);
+    }
+
+    // The category's own emoji, else its parent's
+    emojiFor(categories, name) {
+        const find = target => categories.find(category => category.name === target && category.emoji);
+        const match = find(name) || find(this.parentOf(name));
+        return match ? match.emoji : DEFAULT_EMOJI;
+    }
+
+    // Expense and income names for prompts: "food, food > dining out, transport, ..."
+    promptLists(names) {
+        return {
+            expense: names.filter(name => !Helpers.isIncomeCategory(name)).join(', '),
+            income: names.filter(name => Helpers.isIncomeCategory(name)).join(', ')
+        };
+    }
+
+    /**
+     * Adds a category, or a subcategory when the name is "parent > child".
+     * @returns {Promise<{category: string}|{error: string}>}
+     */
+    async add(userPhone, text, emoji = null) {
+        const name = normalize(text);
+        const parts = name.split(CATEGORY_SEPARATOR);
+        if (parts.length > 2) {
+            return { error: 'Subcategories go one level deep, e.g. "food > dining out".' };
+        }
+        if (!parts.every(part => NAME_PATTERN.test(part))) {
+            return { error: `"${text}" can't be a category name. Use letters, numbers and spaces (up to 30).` };
+        }
+
+        const names = await this.names(userPhone);
+        if (names.includes(name)) {
+            return { error: `You already have *${name}*.` };
+        }
+        if (parts.length === 2 && !names.includes(parts[0])) {
+            return { error: `There's no *${parts[0]}* category. Add it first with "add category ${parts[0]}".` };
+        }
+
+        await databaseService.addCategory(userPhone, name, emoji);
+        return { category: name };
+    }
+
+    /**
+     * Removes a category the user added. Its expenses move to the parent category, or to
+     * "other" for a top-level one; a category with subcategories has to lose those first.
+     * @returns {Promise<{category: string, fallback: string, moved: number}|{error: string}>}
+     */
+    async remove(userPhone, text) {
+        const categories = await this.list(userPhone);
+        const name = this.resolve(categories.map(category => category.name), text);
+        const category = categories.find(entry => entry.name === name);
+
+        if (!category) {
+            return { error: `You have no category "${text}".` };
+        }
+        if (!category.custom) {
+            return { error: `*${name}* is a default category and can't be removed.` };
+        }
+
+        const children = categories.filter(entry => this.parentOf(entry.name) === name && entry.name !== name);
+        if (children.length > 0) {
+            return { error: `Remove its subcategories first: ${children.map(child => child.name).join(', ')}` };
+        }
+
+        const fallback = name.includes(CATEGORY_SEPARATOR) ? this.parentOf(name) : 'other';
+        const moved = await databaseService.deleteCategory(userPhone, name, fallback);
+        return { category: name, fallback, moved: moved || 0 };
+    }
+}
+
+module.exports = new CategoryService();
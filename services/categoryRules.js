@@ -0,0 +1,116 @@
+const databaseService = require('./database');
+const logger = require('../utils/logger');
+
+// Longest description a correction is learned from as a keyword; longer ones are too specific
+const MAX_KEYWORD_WORDS = 3;
+
+// "D-Mart Ready!" -> "d mart ready"
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9&]+/g, ' ').trim();
+}
+
+// Whole-word containment, so "dmart" matches "dmart ready" but "art" doesn't
+function containsWords(text, pattern) {
+    return ` ${text} `.includes(` ${pattern} `);
+}
+
+// "d mart" and "dmart" are the same shop
+function sameName(text, pattern) {
+    return text.replace(/ /g, '') === pattern.replace(/ /g, '');
+}
+
+/**
+ * Per-user category corrections. A merchant rule files everything from that merchant under a
+ * category; a keyword rule does the same for a word in the description or merchant name.
+ * Rules are learned when the user edits or moves an expense, or set with "always categorize",
+ * and they override the category the parser or LLM guessed. Income is left alone.
+ */
+class CategoryRules {
+    /**
+     * Finds the rule for an expense: merchant rules first, then keyword rules, longest pattern first.
+     * @param {Object} expenseData - Parsed expense with merchant and description
+     * @param {Array<Object>} rules - From databaseService.getCategoryRules
+     * @returns {Object|null} the matching rule
+     */
+    match(expenseData, rules) {
+        if (!expenseData || expenseData.direction === 'income') return null;
+
+        const merchant = normalize(expenseData.merchant);
+        const description = normalize(expenseData.description);
+        const byLength = [...rules].sort((a, b) => b.pattern.length - a.pattern.length);
+
+        const merchantRule = merchant && byLength.find(rule => rule.kind === 'merchant'
+            && (containsWords(merchant, rule.pattern) || sameName(merchant, rule.pattern)));
+        if (merchantRule) return merchantRule;
+
+        return byLength.find(rule => rule.kind === 'keyword'
+            && (containsWords(description, rule.pattern) || containsWords(merchant, rule.pattern)
+                || (merchant && sameName(merchant, rule.pattern)))) || null;
+    }
+
+    /**
+     * Sets the category of each expense a rule matches.
+     * @returns {Promise<number>} how many were changed
+     */
+    async apply(userPhone, expenses) {
+        const list = (Array.isArray(expenses) ? expenses : [expenses]).filter(Boolean);
+        if (list.length === 0) return 0;
+
+        let rules;
+        try {
+            rules = await databaseService.getCategoryRules(userPhone);
+        } catch (error) {
+            logger.error(`Loading category rules failed: ${error.message}`);
+            return 0;
+        }
+        if (rules.length === 0) return 0;
+
+        let changed = 0;
+        list.forEach(expenseData => {
+            const rule = this.match(expenseData, rules);
+            if (rule && expenseData.category !== rule.category) {
+                expenseData.category = rule.category;
+                changed++;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Remembers a category correction: by merchant when the expense has one, otherwise by a
+     * short description.
+     * @returns {Promise<{kind: string, pattern: string, name: string}|null>} what was learned,
+     *   null when the expense had nothing to go by
+     */
+    async learn(userPhone, expense, category) {
+        const merchant = normalize(expense.merchant);
+        const description = normalize(expense.description);
+
+        let rule = null;
+        if (merchant && merchant !== 'unknown') {
+            rule = { kind: 'merchant', pattern: merchant, name: expense.merchant.trim() };
+        } else if (description && description.split(' ').length <= MAX_KEYWORD_WORDS) {
+            rule = { kind: 'keyword', pattern: description, name: expense.description.trim() };
+        }
+        if (!rule) return null;
+
+        await databaseService.setCategoryRule(userPhone, rule.kind, rule.pattern, category, 'edit');
+        logger.info(`Learned category rule for ${userPhone}: ${rule.kind} "${rule.pattern}" -> ${category}`);
+        return rule;
+    }
+
+    // Sets a keyword rule outright ("always categorize Zepto as food")
+    async set(userPhone, keyword, category) {
+        const pattern = normalize(keyword);
+        if (!pattern) return null;
+        await databaseService.setCategoryRule(userPhone, 'keyword', pattern, category, 'command');
+        return pattern;
+    }
+
+    async forget(userPhone, keyword) {
+        const pattern = normalize(keyword);
+        return pattern ? databaseService.deleteCategoryRule(userPhone, pattern) : 0;
+    }
+}
+
+module.exports = new CategoryRules();
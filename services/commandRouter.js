@@ -0,0 +1,240 @@
+const Helpers = require('../utils/helpers');
+const Validator = require('../utils/validator');
+const DateUtils = require('../utils/dates');
+const categoryService = require('./categories');
+const { OVERALL_BUDGET } = require('../config/constants');
+
+// Converters for named pattern groups. Each returns undefined when the value is invalid.
+// The match context carries the user's category names; without it the defaults are used.
+const ARG_TYPES = {
+    amount: (value) => {
+        const amount = parseFloat(String(value).replace(/,/g, ''));
+        return Validator.validateAmount(amount) ? amount : undefined;
+    },
+    category: (value, { categories = Validator.VALID_CATEGORIES } = {}) =>
+        categoryService.resolve(categories, value) || undefined,
+    // A category, or the overall budget across all categories
+    budget: (value, context) => {
+        const name = String(value).toLowerCase();
+        return ['overall', 'total', 'all'].includes(name) ? OVERALL_BUDGET : ARG_TYPES.category(name, context);
+    },
+    integer: (value) => {
+        const num = parseInt(value, 10);
+        return isNaN(num) ? undefined : num;
+    },
+    period: (value) => DateUtils.parsePeriod(value) || undefined,
+    timezone: (value) => DateUtils.normalizeTimezone(value) || undefined,
+    word: (value) => String(value).toLowerCase(),
+    text: (value) => String(value).trim()
+};
+
+// Extra hint appended to the error when an argument of this type is invalid
+const ARG_HINTS = {
+    category: ({ categories = Validator.VALID_CATEGORIES } = {}) => `Valid: ${categories.join(', ')}`,
+    budget: ({ categories = Validator.VALID_CATEGORIES } = {}) => `Valid: overall, ${categories.join(', ')}`,
+    timezone: () => 'Use a region name like Asia/Kolkata or Europe/London.'
+};
+
+// Sections of the generated help message, in display order
+const GROUPS = [
+    { id: 'track', title: '✍️ *Track expenses*' },
+    { id: 'reports', title: '📊 *Check your spending*' },
+    { id: 'budgets', title: '💰 *Budgets*' },
+    { id: 'recurring', title: '🔁 *Recurring*' },
+    { id: 'edit', title: '✏️ *Fix mistakes*' },
+    { id: 'settings', title: '⚙️ *Settings*' }
+];
+
+const MAX_SUGGESTION_DISTANCE = 2;
+
+function startsWithKeyword(lower, keyword) {
+    return lower === keyword || lower.startsWith(`${keyword} `);
+}
+
+class CommandRouter {
+    constructor() {
+        this.commands = [];
+    }
+
+    /**
+     * Registers a command.
+     * @param {Object} command
+     * @param {string} command.name - Unique command name
+     * @param {RegExp[]} command.patterns - Patterns matched against the trimmed message; named groups become args
+     * @param {Object} [command.args] - Map of named group -> type in ARG_TYPES
+     * @param {string[]} [command.keywords] - Leading words that identify the command even when its args are wrong
+     * @param {string} [command.usage] - Usage line shown in help and on argument errors
+     * @param {string} [command.description] - One-line description for help
+     * @param {string[]} [command.examples] - Example messages
+     * @param {string} [command.group] - Help section id
+     * @param {number} [command.priority] - Higher priorities are matched first (default 0)
+     * @param {boolean} [command.hidden] - Leave out of help and suggestions
+     * @param {boolean} [command.strictArgs] - Treat invalid args as "pattern did not match" instead of a usage error
+     * @param {boolean} [command.yieldToKeywords] - Skip the patterns when the message opens with another command's
+     *   keyword ("insights 7", "items 3"), so catch-all patterns don't swallow a mistyped command
+     * @param {Function} command.handler - async (ctx) => void, ctx has userPhone, messageId, text, args and
+     *   source ('text', or 'voice' for a voice-note transcript)
+     */
+    register(command) {
+        if (!command.name || !Array.isArray(command.patterns) || typeof command.handler !== 'function') {
+            throw new Error(`Invalid command definition: ${command.name || 'unnamed'}`);
+        }
+        if (this.commands.some(c => c.name === command.name)) {
+            throw new Error(`Command already registered: ${command.name}`);
+        }
+
+        Object.values(command.args || {}).forEach(type => {
+            if (!ARG_TYPES[type]) {
+                throw new Error(`Unknown argument type "${type}" in command ${command.name}`);
+            }
+        });
+
+        this.commands.push({ priority: 0, keywords: [], examples: [], ...command });
+        // Stable sort keeps registration order within the same priority
+        this.commands.sort((a, b) => b.priority - a.priority);
+    }
+
+    registerAll(commands) {
+        commands.forEach(command => this.register(command));
+    }
+
+    /**
+     * Finds the command for a message.
+     * @param {string} text - Raw message text
+     * @param {Object} [context] - { categories }: the user's category names for category arguments
+     * @returns {{command: Object, args: Object, errors: string[], incomplete?: boolean}|null}
+     *   errors is non-empty when the arguments failed their type checks; incomplete is set
+     *   when only the command keyword matched and the grammar did not
+     */
+    match(text, context = {}) {
+        const message = (text || '').trim();
+
+        for (const command of this.commands) {
+            if (command.yieldToKeywords && this.opensWithOtherKeyword(message, command)) continue;
+
+            for (const pattern of command.patterns) {
+                const result = message.match(pattern);
+                if (!result) continue;
+
+                const parsed = this.parseArgs(command, result.groups || {}, context);
+                if (command.strictArgs && parsed.errors.length > 0) continue;
+
+                return { command, ...parsed, incomplete: false };
+            }
+        }
+
+        const lower = message.toLowerCase();
+        const partial = this.commands.find(command =>
+            command.keywords.some(keyword => startsWithKeyword(lower, keyword)));
+
+        if (partial) {
+            return { command: partial, args: {}, errors: [], incomplete: true };
+        }
+
+        return null;
+    }
+
+    // Period keywords ("today", "month") are left out: a leading date belongs to the expense
+    opensWithOtherKeyword(message, command) {
+        const lower = message.toLowerCase();
+        return this.commands.some(other => other !== command && other.keywords.some(keyword =>
+            startsWithKeyword(lower, keyword) && !DateUtils.parsePeriod(keyword)));
+    }
+
+    parseArgs(command, groups, context = {}) {
+        const args = {};
+        const errors = [];
+
+        Object.entries(command.args || {}).forEach(([name, type]) => {
+            if (groups[name] === undefined) return;
+            const value = ARG_TYPES[type](groups[name], context);
+            if (value === undefined) {
+                const hint = ARG_HINTS[type] ? ` ${ARG_HINTS[type](context)}` : '';
+                errors.push(`Invalid ${name}: "${groups[name]}".${hint}`);
+            } else {
+                args[name] = value;
+            }
+        });
+
+        // Groups without a declared type are passed through as trimmed text
+        Object.entries(groups).forEach(([name, value]) => {
+            if (!(name in args) && value !== undefined && !(command.args || {})[name]) {
+                args[name] = value.trim();
+            }
+        });
+
+        return { args, errors };
+    }
+
+    /**
+     * Returns visible commands whose keywords are closest to the start of the message.
+     */
+    suggest(text, limit = 3) {
+        const words = (text || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+
+        const scored = [];
+        this.commands.filter(c => !c.hidden).forEach(command => {
+            const best = Math.min(...command.keywords.map(keyword => {
+                const prefix = words.slice(0, keyword.split(' ').length).join(' ');
+                return Helpers.levenshtein(prefix, keyword);
+            }), Infinity);
+
+            if (best <= MAX_SUGGESTION_DISTANCE) {
+                scored.push({ command, distance: best });
+            }
+        });
+
+        return scored
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit)
+            .map(s => s.command);
+    }
+
+    formatUsage(command, errors = []) {
+        let msg = errors.length > 0 ? `❌ ${errors.join('\n❌ ')}\n\n` : '';
+        msg += `⚠️ Usage: "${command.usage || command.name}"`;
+        if (command.examples.length > 0) {
+            msg += `\nExample: "${command.examples[0]}"`;
+        }
+        return msg;
+    }
+
+    formatHelp() {
+        let msg = `👋 *Welcome to AI Expense Tracker!*
+
+📸 *Send receipt photos* - I'll extract details automatically
+`;
+
+        GROUPS.forEach(group => {
+            const commands = this.commands.filter(c => c.group === group.id && !c.hidden);
+            if (commands.length === 0) return;
+
+            msg += `\n${group.title}\n`;
+            commands.forEach(command => {
+                const label = command.examples[0] || command.usage || command.name;
+                msg += `• *${label}* - ${command.description}\n`;
+            });
+        });
+
+        msg += '\nJust send a message or photo to get started! 🚀';
+        return msg;
+    }
+
+    formatUnknown(text) {
+        const suggestions = this.suggest(text);
+        let msg = '🤔 I didn\'t understand that.';
+
+        if (suggestions.length > 0) {
+            msg += '\n\nDid you mean:\n';
+            msg += suggestions.map(c => `• *${c.usage || c.name}* - ${c.description}`).join('\n');
+        } else {
+            msg += ' Try:\n\n• Send receipt photo\n• Type "Spent 250 on lunch"\n• Ask "today"';
+        }
+
+        msg += '\n\nSend "help" to see all commands.';
+        return msg;
+    }
+}
+
+module.exports = new CommandRouter();
@@ -0,0 +1,82 @@
+const databaseService = require('../database');
+const logger = require('../../utils/logger');
+const MemoryStore = require('./memoryStore');
+const PostgresStore = require('./postgresStore');
+const { LIMITS } = require('../../config/constants');
+
+/**
+ * Conversation state backends by name. A store is an object with a `name` and async
+ * `get(userPhone)`, `set(userPhone, state, ttlMs)`, `clear(userPhone)` and `purgeExpired()`
+ * methods. State must be JSON-serialisable.
+ */
+const STORES = {
+    postgres: () => new PostgresStore(),
+    memory: () => new MemoryStore()
+};
+
+/**
+ * What the bot is waiting for from each user, so the next message can answer a question
+ * instead of being routed as a command. State is `{ flow, step, data }`; `flow` names the
+ * handler registered with registerFlow that takes the reply.
+ */
+class ConversationStateService {
+    constructor() {
+        this.flows = {};
+        this.setStore(process.env.CONVERSATION_STORE || (databaseService.pool ? 'postgres' : 'memory'));
+    }
+
+    setStore(nameOrStore) {
+        if (typeof nameOrStore === 'object') {
+            this.store = nameOrStore;
+        } else if (STORES[nameOrStore]) {
+            this.store = STORES[nameOrStore]();
+        } else {
+            throw new Error(`Unknown conversation store: ${nameOrStore}`);
+        }
+        logger.info(`💬 Conversation state store: ${this.store.name}`);
+    }
+
+    /**
+     * @param {string} flow
+     * @param {function(string, string, Object): Promise<boolean>} handler - (userPhone, reply, state),
+     *   resolves to false when the reply is not an answer and should be routed as usual
+     */
+    registerFlow(flow, handler) {
+        this.flows[flow] = handler;
+    }
+
+    async get(userPhone) {
+        return this.store.get(userPhone);
+    }
+
+    async set(userPhone, state, ttlMs = LIMITS.PENDING_CONFIRMATION_TTL) {
+        await this.store.set(userPhone, state, ttlMs);
+    }
+
+    async clear(userPhone) {
+        await this.store.clear(userPhone);
+    }
+
+    /**
+     * Passes a message (or a reply button id) to the flow waiting on this user.
+     * @returns {Promise<boolean>} true when the message was taken as an answer
+     */
+    async handleReply(userPhone, reply) {
+        const state = await this.store.get(userPhone);
+        if (!state) return false;
+
+        const handler = this.flows[state.flow];
+        if (!handler) {
+            logger.warn(`No handler for conversation flow "${state.flow}", clearing it`);
+            await this.store.clear(userPhone);
+            return false;
+        }
+        return handler(userPhone, reply, state);
+    }
+
+    async purgeExpired() {
+        return this.store.purgeExpired();
+    }
+}
+
+module.exports = new ConversationStateService();
@@ -0,0 +1,38 @@
+// Keeps conversation state in this process; it is lost on restart and not shared between instances
+class MemoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.states = new Map();
+    }
+
+    async get(userPhone) {
+        const entry = this.states.get(userPhone);
+        if (!entry) return null;
+        if (entry.expiresAt < Date.now()) {
+            this.states.delete(userPhone);
+            return null;
+        }
+        return entry.state;
+    }
+
+    async set(userPhone, state, ttlMs) {
+        this.states.set(userPhone, { state, expiresAt: Date.now() + ttlMs });
+    }
+
+    async clear(userPhone) {
+        this.states.delete(userPhone);
+    }
+
+    async purgeExpired() {
+        let purged = 0;
+        for (const [userPhone, entry] of this.states) {
+            if (entry.expiresAt < Date.now()) {
+                this.states.delete(userPhone);
+                purged++;
+            }
+        }
+        return purged;
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,27 @@
+const databaseService = require('../database');
+
+// Keeps conversation state in the conversation_state table, so a question asked before a
+// restart or by another instance can still be answered
+class PostgresStore {
+    constructor() {
+        this.name = 'postgres';
+    }
+
+    async get(userPhone) {
+        return databaseService.getConversationState(userPhone);
+    }
+
+    async set(userPhone, state, ttlMs) {
+        await databaseService.setConversationState(userPhone, state, ttlMs);
+    }
+
+    async clear(userPhone) {
+        await databaseService.clearConversationState(userPhone);
+    }
+
+    async purgeExpired() {
+        return databaseService.purgeConversationStates();
+    }
+}
+
+module.exports = PostgresStore;
@@ -1,5 +1,65 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const logger = require('../utils/logger');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+const { BUDGET_PERIODS, OVERALL_BUDGET, CATEGORY_SEPARATOR } = require('../config/constants');
+
+// Return DECIMAL/NUMERIC columns (amounts) as numbers instead of strings
+types.setTypeParser(types.builtins.NUMERIC, parseFloat);
+// Keep DATE columns as 'YYYY-MM-DD' strings so they are not shifted by the server timezone
+types.setTypeParser(types.builtins.DATE, value => value);
+
+// Most users are in India; others set theirs with the "timezone" command
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+// The only SQL fragments a structured spending query may use (see runExpenseQuery)
+const QUERY_AGGREGATES = {
+    sum: 'COALESCE(SUM(amount), 0)',
+    count: 'COUNT(*)',
+    avg: 'COALESCE(AVG(amount), 0)',
+    max: 'COALESCE(MAX(amount), 0)',
+    min: 'COALESCE(MIN(amount), 0)'
+};
+
+// One-off data fixes for existing databases, applied once each in order and recorded in
+// schema_migrations. Schema changes stay idempotent in init(); append new entries, never edit old ones.
+const DATA_MIGRATIONS = [
+    {
+        // Salary and income used to be saved as spending
+        name: 'income_direction',
+        sql: `UPDATE expenses SET direction = 'income'
+              WHERE category IN ('salary', 'income') AND direction = 'expense'`
+    },
+    {
+        // Receipts used to keep their items as a JSON list of names in expenses.items
+        name: 'legacy_expense_items',
+        sql: `INSERT INTO expense_items (expense_id, position, name)
+              SELECT expense_id, position, name FROM (
+                  SELECT e.id AS expense_id, item.position - 1 AS position,
+                         TRIM(CASE jsonb_typeof(item.value) WHEN 'string' THEN item.value #>> '{}'
+                                   ELSE item.value ->> 'name' END) AS name
+                  FROM expenses e
+                  CROSS JOIN LATERAL jsonb_array_elements(e.items::jsonb) WITH ORDINALITY AS item(value, position)
+                  WHERE e.items LIKE '[%'
+                    AND NOT EXISTS (SELECT 1 FROM expense_items i WHERE i.expense_id = e.id)
+              ) legacy
+              WHERE name <> ''`
+    },
+    {
+        // Users without a timezone get the default; 'UTC' is left alone, as it may have been chosen
+        // with the "timezone" command
+        name: 'default_timezone',
+        sql: `UPDATE users SET timezone = $1 WHERE timezone IS NULL`,
+        params: [DEFAULT_TIMEZONE]
+    }
+];
+
+const QUERY_GROUPS = {
+    category: 'category',
+    merchant: "COALESCE(NULLIF(merchant, ''), 'Unknown')",
+    day: "to_char(date, 'YYYY-MM-DD')",
+    month: "to_char(date, 'YYYY-MM')"
+};
 
 class DatabaseService {
     constructor() {
@@ -20,6 +80,9 @@ class DatabaseService {
             connectionTimeoutMillis: 10000,
         });
 
+        // Timezone per user phone, filled lazily by getUserTimezone
+        this.timezoneCache = new Map();
+
         this.pool.on('error', (err) => {
             logger.error('Unexpected error on idle client', err);
         });
@@ -36,11 +99,16 @@ class DatabaseService {
                 CREATE TABLE IF NOT EXISTS users (
                     phone TEXT PRIMARY KEY,
                     name TEXT,
-                    timezone TEXT DEFAULT 'UTC',
+                    timezone TEXT DEFAULT 'Asia/Kolkata',
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 );
 
+                ALTER TABLE users ALTER COLUMN timezone SET DEFAULT 'Asia/Kolkata';
+
+                -- Show parsed expenses with Save / Change / Cancel buttons before saving them
+                ALTER TABLE users ADD COLUMN IF NOT EXISTS confirm_before_save BOOLEAN NOT NULL DEFAULT FALSE;
+
                 CREATE TABLE IF NOT EXISTS expenses (
                     id SERIAL PRIMARY KEY,
                     user_phone TEXT NOT NULL REFERENCES users(phone),
@@ -49,24 +117,151 @@ class DatabaseService {
                     description TEXT,
                     category TEXT NOT NULL,
                     items TEXT,
+                    direction TEXT NOT NULL DEFAULT 'expense',
+                    import_hash TEXT,
                     date DATE NOT NULL,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 );
 
+                ALTER TABLE expenses ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'expense';
+
+                ALTER TABLE expenses ADD COLUMN IF NOT EXISTS import_hash TEXT;
+
+                -- Set from a WhatsApp location shared right after logging
+                ALTER TABLE expenses ADD COLUMN IF NOT EXISTS location TEXT;
+                ALTER TABLE expenses ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+                ALTER TABLE expenses ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+                -- Hashtags from the message or caption, lowercased and without the '#'
+                ALTER TABLE expenses ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+                CREATE INDEX IF NOT EXISTS idx_expenses_tags ON expenses USING GIN (tags);
+
+                -- SHA-256 of the receipt file, so the same photo sent twice is recognised
+                ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_hash TEXT;
+
                 CREATE TABLE IF NOT EXISTS budgets (
                     id SERIAL PRIMARY KEY,
                     user_phone TEXT NOT NULL REFERENCES users(phone),
                     category TEXT NOT NULL,
                     amount DECIMAL(12,2) NOT NULL,
                     period TEXT DEFAULT 'monthly',
+                    rollover BOOLEAN DEFAULT FALSE,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     UNIQUE(user_phone, category, period)
                 );
 
+                ALTER TABLE budgets ADD COLUMN IF NOT EXISTS rollover BOOLEAN DEFAULT FALSE;
+
+                CREATE TABLE IF NOT EXISTS expense_items (
+                    id SERIAL PRIMARY KEY,
+                    expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+                    position INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    quantity DECIMAL(10,3) DEFAULT 1,
+                    unit_price DECIMAL(12,2),
+                    line_total DECIMAL(12,2)
+                );
+
+                -- Original receipt files; expense_id is null while the expense awaits confirmation and
+                -- is cleared when the expense is deleted, so the retention sweep can remove the file
+                CREATE TABLE IF NOT EXISTS receipt_files (
+                    id SERIAL PRIMARY KEY,
+                    user_phone TEXT NOT NULL REFERENCES users(phone),
+                    expense_id INTEGER REFERENCES expenses(id) ON DELETE SET NULL,
+                    provider TEXT NOT NULL,
+                    storage_key TEXT NOT NULL,
+                    mime_type TEXT NOT NULL,
+                    size_bytes INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                -- What the bot is waiting for from a user (see services/conversation)
+                CREATE TABLE IF NOT EXISTS conversation_state (
+                    user_phone TEXT PRIMARY KEY REFERENCES users(phone),
+                    state JSONB NOT NULL,
+                    expires_at TIMESTAMP NOT NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                -- Categories a user added on top of the defaults; a subcategory is named
+                -- "parent > child", so expenses, budgets and rules store one category string
+                CREATE TABLE IF NOT EXISTS categories (
+                    id SERIAL PRIMARY KEY,
+                    user_phone TEXT NOT NULL REFERENCES users(phone),
+                    name TEXT NOT NULL,
+                    emoji TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_phone, name)
+                );
+
+                -- Per-user category corrections: a merchant or a keyword in the description and the
+                -- category it should get, learned from edits or set with "always categorize"
+                CREATE TABLE IF NOT EXISTS category_rules (
+                    id SERIAL PRIMARY KEY,
+                    user_phone TEXT NOT NULL REFERENCES users(phone),
+                    kind TEXT NOT NULL,
+                    pattern TEXT NOT NULL,
+                    category TEXT NOT NULL,
+                    source TEXT NOT NULL DEFAULT 'command',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_phone, kind, pattern)
+                );
+
+                CREATE TABLE IF NOT EXISTS recurring_expenses (
+                    id SERIAL PRIMARY KEY,
+                    user_phone TEXT NOT NULL REFERENCES users(phone),
+                    amount DECIMAL(12,2) NOT NULL,
+                    description TEXT,
+                    category TEXT NOT NULL,
+                    merchant TEXT,
+                    frequency TEXT NOT NULL,
+                    day_of_week INTEGER,
+                    day_of_month INTEGER,
+                    month_of_year INTEGER,
+                    next_run DATE NOT NULL,
+                    last_run DATE,
+                    active BOOLEAN DEFAULT TRUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS budget_alerts (
+                    id SERIAL PRIMARY KEY,
+                    user_phone TEXT NOT NULL REFERENCES users(phone),
+                    category TEXT NOT NULL,
+                    period TEXT NOT NULL DEFAULT 'monthly',
+                    period_start DATE NOT NULL,
+                    threshold INTEGER NOT NULL,
+                    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                -- Alerts used to be per month only: one alert per threshold in each budget's own period
+                ALTER TABLE budget_alerts ADD COLUMN IF NOT EXISTS period TEXT NOT NULL DEFAULT 'monthly';
+                ALTER TABLE budget_alerts DROP CONSTRAINT IF EXISTS budget_alerts_user_phone_category_period_start_threshold_key;
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_alerts_unique
+                    ON budget_alerts(user_phone, category, period, period_start, threshold);
+
+                CREATE TABLE IF NOT EXISTS budget_alert_mutes (
+                    user_phone TEXT NOT NULL REFERENCES users(phone),
+                    category TEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY(user_phone, category)
+                );
+
                 CREATE INDEX IF NOT EXISTS idx_expenses_user_date ON expenses(user_phone, date);
+                CREATE INDEX IF NOT EXISTS idx_recurring_next_run ON recurring_expenses(next_run) WHERE active;
+                CREATE INDEX IF NOT EXISTS idx_expense_items_expense ON expense_items(expense_id);
                 CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category);
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_import_hash ON expenses(user_phone, import_hash);
+                CREATE INDEX IF NOT EXISTS idx_receipt_files_expense ON receipt_files(user_phone, expense_id);
+
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    name TEXT PRIMARY KEY,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
             `);
+            await this.runDataMigrations(client);
             logger.info('Database tables initialized successfully');
         } catch (err) {
             logger.error('Database initialization error:', err);
@@ -76,12 +271,57 @@ class DatabaseService {
         }
     }
 
+    // Applies the DATA_MIGRATIONS this database hasn't had yet, each in its own transaction
+    async runDataMigrations(client) {
+        const applied = new Set((await client.query('SELECT name FROM schema_migrations')).rows.map(row => row.name));
+
+        for (const migration of DATA_MIGRATIONS.filter(entry => !applied.has(entry.name))) {
+            try {
+                await client.query('BEGIN');
+                const result = await client.query(migration.sql, migration.params);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [migration.name]);
+                await client.query('COMMIT');
+                logger.info(`Applied data migration ${migration.name} (${result.rowCount || 0} rows)`);
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            }
+        }
+    }
+
     async saveExpense(userPhone, expenseData) {
+        const [id] = await this.saveExpenses(userPhone, [expenseData]);
+        return id;
+    }
+
+    // Saves all of the expenses or, if one fails, none of them
+    async saveExpenses(userPhone, expenses) {
         if (!this.pool) throw new Error('Database not connected');
+        const timezone = await this.getUserTimezone(userPhone);
 
-        const result = await this.pool.query(
-            `INSERT INTO expenses (user_phone, amount, merchant, description, category, items, date)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const ids = [];
+            for (const expenseData of expenses) {
+                ids.push(await this.insertExpense(client, userPhone, expenseData, timezone));
+            }
+            await client.query('COMMIT');
+            logger.info(`Expenses saved with IDs: ${ids.join(', ')}`);
+            return ids;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Inserts an expense and its line items using a client that is already inside a transaction
+    async insertExpense(client, userPhone, expenseData, timezone) {
+        const result = await client.query(
+            `INSERT INTO expenses (user_phone, amount, merchant, description, category, direction, tags, receipt_hash, date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
              RETURNING id`,
             [
                 userPhone,
@@ -89,73 +329,366 @@ class DatabaseService {
                 expenseData.merchant || '',
                 expenseData.description || '',
                 expenseData.category || 'other',
-                JSON.stringify(expenseData.items || []),
-                expenseData.date || new Date().toISOString().split('T')[0]
+                Helpers.directionOf(expenseData),
+                expenseData.tags || [],
+                expenseData.receipt_hash || null,
+                expenseData.date || DateUtils.today(timezone)
             ]
         );
-        logger.info(`Expense saved with ID: ${result.rows[0].id}`);
-        return result.rows[0].id;
+        const expenseId = result.rows[0].id;
+        await this.insertItems(client, expenseId, expenseData.items || []);
+        return expenseId;
+    }
+
+    async insertItems(client, expenseId, items) {
+        for (const [position, item] of items.entries()) {
+            await client.query(
+                `INSERT INTO expense_items (expense_id, position, name, quantity, unit_price, line_total)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [expenseId, position, item.name, item.quantity ?? 1, item.unit_price ?? null, item.line_total ?? null]
+            );
+        }
+    }
+
+    /**
+     * Bulk-inserts statement rows in one statement. Rows whose import_hash was imported before
+     * are skipped by the unique index.
+     * @returns {Promise<Object[]>} the inserted rows ({ id, date, amount, direction, description })
+     */
+    async importExpenses(userPhone, expenses) {
+        if (!this.pool) throw new Error('Database not connected');
+        if (expenses.length === 0) return [];
+
+        const column = key => expenses.map(e => e[key]);
+        const result = await this.pool.query(
+            `INSERT INTO expenses (user_phone, amount, merchant, description, category, direction, date, import_hash)
+             SELECT $1, amount, '', description, category, direction, date, import_hash
+             FROM unnest($2::numeric[], $3::text[], $4::text[], $5::text[], $6::date[], $7::text[])
+                 AS t(amount, description, category, direction, date, import_hash)
+             ON CONFLICT (user_phone, import_hash) DO NOTHING
+             RETURNING id, date, amount, direction, description`,
+            [
+                userPhone,
+                column('amount'),
+                column('description'),
+                column('category'),
+                column('direction'),
+                column('date'),
+                column('import_hash')
+            ]
+        );
+        return result.rows;
+    }
+
+    // Imported entries that look like one the user logged by hand: same amount and direction, a day apart at most
+    async findPossibleDuplicates(userPhone, importedIds) {
+        if (!this.pool || importedIds.length === 0) return [];
+        const result = await this.pool.query(
+            `SELECT i.id, i.date, i.amount, i.description, m.id AS matches_id, m.description AS matches_description
+             FROM expenses i
+             JOIN LATERAL (
+                 SELECT id, description FROM expenses m
+                 WHERE m.user_phone = i.user_phone
+                   AND m.import_hash IS NULL
+                   AND m.amount = i.amount
+                   AND m.direction = i.direction
+                   AND m.date BETWEEN i.date - 1 AND i.date + 1
+                 ORDER BY ABS(m.date - i.date) LIMIT 1
+             ) m ON TRUE
+             WHERE i.user_phone = $1 AND i.id = ANY($2)
+             ORDER BY i.date`,
+            [userPhone, importedIds]
+        );
+        return result.rows;
     }
 
-    async getTodayExpenses(userPhone) {
+    async getExpenseItems(expenseId) {
         if (!this.pool) return [];
-        const today = new Date().toISOString().split('T')[0];
         const result = await this.pool.query(
-            `SELECT * FROM expenses WHERE user_phone = $1 AND date = $2 ORDER BY created_at DESC`,
-            [userPhone, today]
+            `SELECT name, quantity, unit_price, line_total FROM expense_items
+             WHERE expense_id = $1 ORDER BY position`,
+            [expenseId]
         );
         return result.rows;
     }
 
-    async getTodayTotal(userPhone) {
+    // Most recent expense that has line items, i.e. the last scanned receipt
+    async getLastReceipt(userPhone) {
+        if (!this.pool) return null;
+        const result = await this.pool.query(
+            `SELECT e.* FROM expenses e
+             WHERE e.user_phone = $1
+             AND EXISTS (SELECT 1 FROM expense_items i WHERE i.expense_id = e.id)
+             ORDER BY e.created_at DESC LIMIT 1`,
+            [userPhone]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * An existing entry that the new one most likely repeats: the same receipt file, or the same
+     * amount and merchant (one name containing the other, or named in the other's description)
+     * dated within windowDays. Without a merchant on either side the
+     * descriptions must match and the date must be the same day.
+     * @param {Object} expense - { amount, direction, date, merchant, description, receipt_hash }
+     * @returns {Promise<Object|null>}
+     */
+    async findDuplicateExpense(userPhone, expense, windowDays) {
+        if (!this.pool) return null;
+
+        if (expense.receipt_hash) {
+            const sameFile = await this.pool.query(
+                `SELECT * FROM expenses WHERE user_phone = $1 AND receipt_hash = $2
+                 ORDER BY created_at DESC LIMIT 1`,
+                [userPhone, expense.receipt_hash]
+            );
+            if (sameFile.rows[0]) return sameFile.rows[0];
+        }
+
+        const merchant = String(expense.merchant || '').trim().toLowerCase();
+        const result = await this.pool.query(
+            `SELECT * FROM (
+                 SELECT *, NULLIF(NULLIF(LOWER(TRIM(merchant)), 'unknown'), '') AS known_merchant
+                 FROM expenses
+                 WHERE user_phone = $1 AND direction = $2 AND amount = $3
+                 AND date BETWEEN $4::date - $5::int AND $4::date + $5::int
+             ) e
+             WHERE (known_merchant IS NOT NULL AND $6 <> '' AND (strpos(known_merchant, $6) > 0 OR strpos($6, known_merchant) > 0))
+                OR (known_merchant IS NOT NULL AND strpos(LOWER($7), known_merchant) > 0)
+                OR ($6 <> '' AND strpos(LOWER(e.description), $6) > 0)
+                OR (known_merchant IS NULL AND $6 = '' AND e.date = $4::date AND LOWER(e.description) = LOWER($7))
+             ORDER BY created_at DESC LIMIT 1`,
+            [
+                userPhone,
+                Helpers.directionOf(expense),
+                expense.amount,
+                expense.date,
+                windowDays,
+                merchant === 'unknown' ? '' : merchant,
+                expense.description || ''
+            ]
+        );
+        return result.rows[0] || null;
+    }
+
+    async addReceiptFile(userPhone, expenseId, file) {
+        if (!this.pool) return null;
+        const result = await this.pool.query(
+            `INSERT INTO receipt_files (user_phone, expense_id, provider, storage_key, mime_type, size_bytes)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id`,
+            [userPhone, expenseId, file.provider, file.key, file.mimeType, file.size]
+        );
+        return result.rows[0].id;
+    }
+
+    // Stored receipt of an expense (the newest one when expenseId is null), with the expense's details
+    async getReceiptFile(userPhone, expenseId = null) {
+        if (!this.pool) return null;
+        const values = [userPhone];
+        if (expenseId !== null) values.push(expenseId);
+
+        const result = await this.pool.query(
+            `SELECT f.*, e.amount, e.merchant, e.category, e.date
+             FROM receipt_files f
+             JOIN expenses e ON e.id = f.expense_id
+             WHERE f.user_phone = $1 ${expenseId !== null ? 'AND f.expense_id = $2' : ''}
+             ORDER BY f.created_at DESC LIMIT 1`,
+            values
+        );
+        return result.rows[0] || null;
+    }
+
+    async linkReceiptFile(fileId, expenseId) {
         if (!this.pool) return 0;
-        const today = new Date().toISOString().split('T')[0];
         const result = await this.pool.query(
-            `SELECT COALESCE(SUM(amount), 0) as total FROM expenses WHERE user_phone = $1 AND date = $2`,
-            [userPhone, today]
+            `UPDATE receipt_files SET expense_id = $2 WHERE id = $1`,
+            [fileId, expenseId]
         );
-        return parseFloat(result.rows[0].total) || 0;
+        return result.rowCount;
     }
 
-    async getWeekExpenses(userPhone) {
+    // Files of a provider past the retention period (0 days keeps them), and files without an
+    // expense (deleted, or never confirmed) older than a day
+    async getExpiredReceiptFiles(provider, retentionDays) {
         if (!this.pool) return [];
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        const weekAgoStr = weekAgo.toISOString().split('T')[0];
-
         const result = await this.pool.query(
-            `SELECT * FROM expenses WHERE user_phone = $1 AND date >= $2 ORDER BY date DESC`,
-            [userPhone, weekAgoStr]
+            `SELECT id, storage_key FROM receipt_files
+             WHERE provider = $1
+             AND ((expense_id IS NULL AND created_at < LOCALTIMESTAMP - interval '1 day')
+                  OR ($2 > 0 AND created_at < LOCALTIMESTAMP - make_interval(days => $2)))
+             ORDER BY created_at ASC LIMIT 500`,
+            [provider, retentionDays]
         );
         return result.rows;
     }
 
-    async getMonthExpenses(userPhone) {
-        if (!this.pool) return [];
-        const monthAgo = new Date();
-        monthAgo.setMonth(monthAgo.getMonth() - 1);
-        const monthAgoStr = monthAgo.toISOString().split('T')[0];
+    async deleteReceiptFile(id) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(`DELETE FROM receipt_files WHERE id = $1`, [id]);
+        return result.rowCount;
+    }
 
+    /**
+     * Expenses dated within an inclusive range, newest first.
+     * @param {string} userPhone
+     * @param {{start: string, end: string}} range - 'YYYY-MM-DD' bounds, usually from DateUtils.resolvePeriod
+     * @param {string[]} [tags] - Only expenses carrying all of these tags
+     */
+    async getExpensesInRange(userPhone, range, tags = []) {
+        if (!this.pool) return [];
         const result = await this.pool.query(
-            `SELECT * FROM expenses WHERE user_phone = $1 AND date >= $2 ORDER BY date DESC`,
-            [userPhone, monthAgoStr]
+            `SELECT * FROM expenses
+             WHERE user_phone = $1 AND direction = 'expense' AND date >= $2 AND date <= $3 AND tags @> $4
+             ORDER BY date DESC, created_at DESC`,
+            [userPhone, range.start, range.end, tags]
         );
         return result.rows;
     }
 
-    async getTotalByCategory(userPhone, days = 30) {
+    // Income and expenses within a range for a spreadsheet export, oldest first, each with its line items
+    async getExportRows(userPhone, range, category = null, tags = []) {
         if (!this.pool) return [];
-        const dateAgo = new Date();
-        dateAgo.setDate(dateAgo.getDate() - days);
-        const dateAgoStr = dateAgo.toISOString().split('T')[0];
+        const values = [userPhone, range.start, range.end, tags];
+        if (category) values.push(category);
+
+        const result = await this.pool.query(
+            `SELECT * FROM expenses
+             WHERE user_phone = $1 AND date >= $2 AND date <= $3 AND tags @> $4
+             ${category ? `AND ${this.categoryCondition(5)}` : ''}
+             ORDER BY date ASC, created_at ASC`,
+            values
+        );
+        if (result.rows.length === 0) return [];
+
+        const items = await this.pool.query(
+            `SELECT expense_id, name, quantity, unit_price, line_total FROM expense_items
+             WHERE expense_id = ANY($1) ORDER BY expense_id, position`,
+            [result.rows.map(row => row.id)]
+        );
+        const itemsByExpense = new Map();
+        items.rows.forEach(item => {
+            if (!itemsByExpense.has(item.expense_id)) itemsByExpense.set(item.expense_id, []);
+            itemsByExpense.get(item.expense_id).push(item);
+        });
+
+        return result.rows.map(row => ({ ...row, items: itemsByExpense.get(row.id) || [] }));
+    }
+
+    async getTotalInRange(userPhone, range) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `SELECT COALESCE(SUM(amount), 0) as total FROM expenses
+             WHERE user_phone = $1 AND direction = 'expense' AND date >= $2 AND date <= $3`,
+            [userPhone, range.start, range.end]
+        );
+        return parseFloat(result.rows[0].total) || 0;
+    }
+
+    /**
+     * Runs a structured spending query built by services/queryPlanner.js.
+     * Only whitelisted aggregates and groupings are accepted; every value is a bound parameter.
+     * @param {string} userPhone
+     * @param {Object} query
+     * @param {{start: string, end: string}} query.range
+     * @param {string} query.aggregate - sum | count | avg | max | min
+     * @param {string|null} [query.groupBy] - category | merchant | day | month
+     * @param {string|null} [query.category]
+     * @param {string|null} [query.merchant] - Matched against merchant and description
+     * @param {string[]} [query.tags] - Only expenses carrying all of these tags
+     * @returns {Promise<Object>} { value, count, expense } or, when grouped, { groups: [{ key, value, count }] }
+     */
+    async runExpenseQuery(userPhone, query) {
+        if (!this.pool) return query.groupBy ? { groups: [] } : { value: 0, count: 0 };
+
+        const aggregate = QUERY_AGGREGATES[query.aggregate];
+        if (!aggregate) throw new Error(`Unsupported aggregate: ${query.aggregate}`);
+        if (query.groupBy && !QUERY_GROUPS[query.groupBy]) throw new Error(`Unsupported grouping: ${query.groupBy}`);
+
+        const values = [userPhone, query.range.start, query.range.end];
+        const conditions = ['user_phone = $1', "direction = 'expense'", 'date >= $2', 'date <= $3'];
+
+        if (query.category) {
+            values.push(query.category);
+            conditions.push(this.categoryCondition(values.length));
+        }
+        if (query.merchant) {
+            values.push(`%${query.merchant}%`);
+            conditions.push(`(merchant ILIKE $${values.length} OR description ILIKE $${values.length})`);
+        }
+        if (query.tags && query.tags.length > 0) {
+            values.push(query.tags);
+            conditions.push(`tags @> $${values.length}`);
+        }
+        const where = conditions.join(' AND ');
+
+        if (query.groupBy) {
+            const group = QUERY_GROUPS[query.groupBy];
+            const order = ['day', 'month'].includes(query.groupBy) ? 'group_key ASC' : 'value DESC';
+            const result = await this.pool.query(
+                `SELECT ${group} AS group_key, ${aggregate} AS value, COUNT(*) AS count
+                 FROM expenses WHERE ${where}
+                 GROUP BY group_key ORDER BY ${order} LIMIT 31`,
+                values
+            );
+            return {
+                groups: result.rows.map(r => ({ key: r.group_key, value: parseFloat(r.value) || 0, count: parseInt(r.count, 10) }))
+            };
+        }
+
+        const result = await this.pool.query(
+            `SELECT ${aggregate} AS value, COUNT(*) AS count FROM expenses WHERE ${where}`,
+            values
+        );
+        const answer = {
+            value: parseFloat(result.rows[0].value) || 0,
+            count: parseInt(result.rows[0].count, 10)
+        };
+
+        // For biggest/smallest, also return the expense itself
+        if (['max', 'min'].includes(query.aggregate) && answer.count > 0) {
+            const direction = query.aggregate === 'max' ? 'DESC' : 'ASC';
+            const row = await this.pool.query(
+                `SELECT * FROM expenses WHERE ${where} ORDER BY amount ${direction}, date DESC LIMIT 1`,
+                values
+            );
+            answer.expense = row.rows[0];
+        }
+
+        return answer;
+    }
 
+    // Resolves a period spec (see DateUtils.parsePeriod) against the user's current date
+    async resolvePeriod(userPhone, spec) {
+        const today = DateUtils.today(await this.getUserTimezone(userPhone));
+        return DateUtils.resolvePeriod(spec, today);
+    }
+
+    async getTotalByCategory(userPhone, range) {
+        if (!this.pool) return [];
         const result = await this.pool.query(
             `SELECT category, SUM(amount) as total, COUNT(*) as count 
              FROM expenses 
-             WHERE user_phone = $1 AND date >= $2 
+             WHERE user_phone = $1 AND direction = 'expense' AND date >= $2 AND date <= $3
              GROUP BY category 
              ORDER BY total DESC`,
-            [userPhone, dateAgoStr]
+            [userPhone, range.start, range.end]
+        );
+        return result.rows;
+    }
+
+    // Income and spending per calendar month within a range, oldest month first
+    async getCashflow(userPhone, range, tags = []) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `SELECT to_char(date, 'YYYY-MM') as month,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'income'), 0) as income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'expense'), 0) as expenses
+             FROM expenses
+             WHERE user_phone = $1 AND date >= $2 AND date <= $3 AND tags @> $4
+             GROUP BY month
+             ORDER BY month ASC`,
+            [userPhone, range.start, range.end, tags]
         );
         return result.rows;
     }
@@ -164,7 +697,7 @@ class DatabaseService {
         if (!this.pool) return {};
         const result = await this.pool.query(
             `SELECT COUNT(*) as total_expenses, COALESCE(SUM(amount), 0) as total_amount
-             FROM expenses WHERE user_phone = $1`,
+             FROM expenses WHERE user_phone = $1 AND direction = 'expense'`,
             [userPhone]
         );
         return result.rows[0] || {};
@@ -173,11 +706,11 @@ class DatabaseService {
     async createOrUpdateUser(phone, name = 'User') {
         if (!this.pool) return 0;
         const result = await this.pool.query(
-            `INSERT INTO users (phone, name, last_active) 
-             VALUES ($1, $2, CURRENT_TIMESTAMP)
+            `INSERT INTO users (phone, name, timezone, last_active) 
+             VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
              ON CONFLICT(phone) DO UPDATE SET last_active = CURRENT_TIMESTAMP
              RETURNING phone`,
-            [phone, name]
+            [phone, name, DEFAULT_TIMEZONE]
         );
         return result.rowCount;
     }
@@ -200,6 +733,184 @@ class DatabaseService {
         return result.rows[0];
     }
 
+    async getUserTimezone(phone) {
+        if (!this.pool) return DEFAULT_TIMEZONE;
+        if (this.timezoneCache.has(phone)) return this.timezoneCache.get(phone);
+
+        const result = await this.pool.query(
+            `SELECT timezone FROM users WHERE phone = $1`,
+            [phone]
+        );
+        const timezone = DateUtils.normalizeTimezone(result.rows[0]?.timezone) || DEFAULT_TIMEZONE;
+        this.timezoneCache.set(phone, timezone);
+        return timezone;
+    }
+
+    async getConversationState(userPhone) {
+        if (!this.pool) return null;
+        const result = await this.pool.query(
+            `SELECT state FROM conversation_state WHERE user_phone = $1 AND expires_at > LOCALTIMESTAMP`,
+            [userPhone]
+        );
+        return result.rows[0]?.state || null;
+    }
+
+    async setConversationState(userPhone, state, ttlMs) {
+        if (!this.pool) return;
+        await this.pool.query(
+            `INSERT INTO conversation_state (user_phone, state, expires_at)
+             VALUES ($1, $2, LOCALTIMESTAMP + make_interval(secs => $3))
+             ON CONFLICT (user_phone)
+             DO UPDATE SET state = EXCLUDED.state, expires_at = EXCLUDED.expires_at, updated_at = CURRENT_TIMESTAMP`,
+            [userPhone, JSON.stringify(state), ttlMs / 1000]
+        );
+    }
+
+    async clearConversationState(userPhone) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(`DELETE FROM conversation_state WHERE user_phone = $1`, [userPhone]);
+        return result.rowCount;
+    }
+
+    async purgeConversationStates() {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(`DELETE FROM conversation_state WHERE expires_at <= LOCALTIMESTAMP`);
+        return result.rowCount;
+    }
+
+    async getConfirmBeforeSave(phone) {
+        if (!this.pool) return false;
+        const result = await this.pool.query(
+            `SELECT confirm_before_save FROM users WHERE phone = $1`,
+            [phone]
+        );
+        return result.rows[0]?.confirm_before_save === true;
+    }
+
+    // A category filter that takes in its subcategories: "food" matches "food > dining out"
+    categoryCondition(paramIndex) {
+        return `(category = $${paramIndex} OR category LIKE $${paramIndex} || '${CATEGORY_SEPARATOR}%')`;
+    }
+
+    // Categories the user added, oldest first
+    async getCategories(userPhone) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `SELECT name, emoji FROM categories WHERE user_phone = $1 ORDER BY created_at, id`,
+            [userPhone]
+        );
+        return result.rows;
+    }
+
+    // Returns 0 when the user already has the category
+    async addCategory(userPhone, name, emoji = null) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `INSERT INTO categories (user_phone, name, emoji) VALUES ($1, $2, $3)
+             ON CONFLICT (user_phone, name) DO NOTHING`,
+            [userPhone, name, emoji]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Removes a category the user added. Its expenses, recurring expenses and category rules
+     * move to `fallback` and its budgets are dropped, all in one transaction.
+     * @returns {Promise<number|null>} how many expenses were moved, null when there was no such category
+     */
+    async deleteCategory(userPhone, name, fallback) {
+        if (!this.pool) return null;
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const removed = await client.query(
+                `DELETE FROM categories WHERE user_phone = $1 AND name = $2`,
+                [userPhone, name]
+            );
+            if (removed.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const moved = await client.query(
+                `UPDATE expenses SET category = $3, updated_at = CURRENT_TIMESTAMP WHERE user_phone = $1 AND category = $2`,
+                [userPhone, name, fallback]
+            );
+            await client.query(`UPDATE recurring_expenses SET category = $3 WHERE user_phone = $1 AND category = $2`, [userPhone, name, fallback]);
+            await client.query(`UPDATE category_rules SET category = $3 WHERE user_phone = $1 AND category = $2`, [userPhone, name, fallback]);
+            await client.query(`DELETE FROM budgets WHERE user_phone = $1 AND category = $2`, [userPhone, name]);
+            await client.query('COMMIT');
+            return moved.rowCount;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Adds or replaces a category rule.
+     * @param {string} kind - 'merchant' or 'keyword'
+     * @param {string} pattern - Normalized merchant name or keyword
+     * @param {string} source - 'edit' when learned from a correction, 'command' when set outright
+     */
+    async setCategoryRule(userPhone, kind, pattern, category, source = 'command') {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `INSERT INTO category_rules (user_phone, kind, pattern, category, source)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (user_phone, kind, pattern)
+             DO UPDATE SET category = EXCLUDED.category, source = EXCLUDED.source, updated_at = CURRENT_TIMESTAMP`,
+            [userPhone, kind, pattern, category, source]
+        );
+        return result.rowCount;
+    }
+
+    async getCategoryRules(userPhone) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `SELECT id, kind, pattern, category, source FROM category_rules
+             WHERE user_phone = $1 ORDER BY kind, pattern`,
+            [userPhone]
+        );
+        return result.rows;
+    }
+
+    async deleteCategoryRule(userPhone, pattern) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `DELETE FROM category_rules WHERE user_phone = $1 AND pattern = $2`,
+            [userPhone, pattern]
+        );
+        return result.rowCount;
+    }
+
+    async setConfirmBeforeSave(phone, enabled) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `UPDATE users SET confirm_before_save = $1 WHERE phone = $2`,
+            [enabled, phone]
+        );
+        return result.rowCount;
+    }
+
+    async setUserTimezone(phone, timezone) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `UPDATE users SET timezone = $1 WHERE phone = $2`,
+            [timezone, phone]
+        );
+        // No row means no user yet; caching would hide the default they get when created
+        if (result.rowCount > 0) this.timezoneCache.set(phone, timezone);
+        return result.rowCount;
+    }
+
+    /**
+     * Updates an expense's columns; `items` replaces all of its line items in the same transaction.
+     * @returns {Promise<number>} 1 when the expense belongs to the user and was updated, otherwise 0
+     */
     async updateExpense(id, userPhone, changes) {
         if (!this.pool) return 0;
 
@@ -207,22 +918,42 @@ class DatabaseService {
         const values = [];
         let paramIndex = 1;
 
+        // The category decides the direction: moving an entry into salary or income makes it
+        // income, and moving it back out makes it spending again
+        if (changes.category && !changes.direction) {
+            changes = { ...changes, direction: Helpers.directionOf({ category: changes.category }) };
+        }
+
         Object.entries(changes).forEach(([key, value]) => {
-            if (['amount', 'category', 'description', 'merchant'].includes(key)) {
+            if (['amount', 'category', 'description', 'merchant', 'direction', 'tags', 'date'].includes(key)) {
                 fields.push(`${key} = $${paramIndex++}`);
                 values.push(value);
             }
         });
 
-        if (fields.length === 0) return 0;
+        if (fields.length === 0 && !changes.items) return 0;
 
         fields.push(`updated_at = CURRENT_TIMESTAMP`);
         values.push(id, userPhone);
 
         const sql = `UPDATE expenses SET ${fields.join(', ')} WHERE id = $${paramIndex++} AND user_phone = $${paramIndex}`;
 
-        const result = await this.pool.query(sql, values);
-        return result.rowCount;
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(sql, values);
+            if (result.rowCount > 0 && changes.items) {
+                await client.query(`DELETE FROM expense_items WHERE expense_id = $1`, [id]);
+                await this.insertItems(client, id, changes.items);
+            }
+            await client.query('COMMIT');
+            return result.rowCount;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
     }
 
     async deleteExpense(id, userPhone) {
@@ -234,15 +965,85 @@ class DatabaseService {
         return result.rowCount;
     }
 
-    async searchExpenses(userPhone, query) {
+    // Deletes the user's expenses among ids and returns the deleted rows; ids of other users are ignored
+    async deleteExpenses(ids, userPhone) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `DELETE FROM expenses WHERE id = ANY($1::int[]) AND user_phone = $2
+             RETURNING id, amount, category, description, merchant`,
+            [ids, userPhone]
+        );
+        return result.rows;
+    }
+
+    async searchExpenses(userPhone, query, tags = []) {
         if (!this.pool) return [];
-        const searchTerm = `%${query}%`;
+        const searchTerm = `%${query || ''}%`;
         const result = await this.pool.query(
             `SELECT * FROM expenses 
              WHERE user_phone = $1 
              AND (description ILIKE $2 OR merchant ILIKE $3 OR category ILIKE $4) 
+             AND tags @> $5
              ORDER BY date DESC LIMIT 20`,
-            [userPhone, searchTerm, searchTerm, searchTerm]
+            [userPhone, searchTerm, searchTerm, searchTerm, tags]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Attaches a shared location to the user's newest expense, if it was logged within the window.
+     * @param {{name: string|null, latitude: number, longitude: number}} location
+     * @param {number} windowMs
+     * @returns {Promise<Object|null>} the updated expense, or null when nothing was logged recently
+     */
+    async attachLocation(userPhone, location, windowMs) {
+        if (!this.pool) return null;
+        const result = await this.pool.query(
+            `UPDATE expenses SET location = $2, latitude = $3, longitude = $4, updated_at = CURRENT_TIMESTAMP
+             WHERE id = (
+                 SELECT id FROM expenses
+                 WHERE user_phone = $1 AND direction = 'expense'
+                 AND created_at >= LOCALTIMESTAMP - make_interval(secs => $5)
+                 ORDER BY created_at DESC LIMIT 1
+             )
+             RETURNING *`,
+            [userPhone, location.name, location.latitude, location.longitude, windowMs / 1000]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Expenses within a range that have a place name or coordinates
+    async getLocatedExpenses(userPhone, range, tags = []) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `SELECT id, amount, location, latitude, longitude FROM expenses
+             WHERE user_phone = $1 AND direction = 'expense' AND date >= $2 AND date <= $3 AND tags @> $4
+             AND (location IS NOT NULL OR latitude IS NOT NULL)
+             ORDER BY date ASC, created_at ASC`,
+            [userPhone, range.start, range.end, tags]
+        );
+        return result.rows;
+    }
+
+    async getExpense(id, userPhone) {
+        if (!this.pool) return null;
+        const result = await this.pool.query(
+            `SELECT * FROM expenses WHERE id = $1 AND user_phone = $2`,
+            [id, userPhone]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Spending per tag across all time, biggest first
+    async getTagTotals(userPhone) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `SELECT tag, COUNT(*) as count, SUM(amount) as total
+             FROM expenses, unnest(tags) AS tag
+             WHERE user_phone = $1 AND direction = 'expense'
+             GROUP BY tag
+             ORDER BY total DESC`,
+            [userPhone]
         );
         return result.rows;
     }
@@ -256,16 +1057,16 @@ class DatabaseService {
         return result.rows[0];
     }
 
-    async setBudget(userPhone, category, amount, period = 'monthly') {
+    async setBudget(userPhone, category, amount, period = 'monthly', rollover = false) {
         if (!this.pool) return 0;
         const result = await this.pool.query(
-            `INSERT INTO budgets (user_phone, category, amount, period) 
-             VALUES ($1, $2, $3, $4)
+            `INSERT INTO budgets (user_phone, category, amount, period, rollover) 
+             VALUES ($1, $2, $3, $4, $5)
              ON CONFLICT(user_phone, category, period) DO UPDATE SET 
                  amount = EXCLUDED.amount,
-                 created_at = CURRENT_TIMESTAMP
+                 rollover = EXCLUDED.rollover
              RETURNING id`,
-            [userPhone, category, amount, period]
+            [userPhone, category, amount, period, rollover]
         );
         return result.rows[0]?.id || 0;
     }
@@ -279,29 +1080,224 @@ class DatabaseService {
         return result.rows;
     }
 
-    async getBudgetStatus(userPhone, period = 'month') {
+    // Spend counted against a budget; the overall budget counts every category
+    async getBudgetSpent(userPhone, category, range) {
+        if (!this.pool) return 0;
+        const overall = category === OVERALL_BUDGET;
+        const result = await this.pool.query(
+            `SELECT COALESCE(SUM(amount), 0) as total FROM expenses 
+             WHERE user_phone = $1 AND direction = 'expense' AND date >= $2 AND date <= $3
+             ${overall ? '' : `AND ${this.categoryCondition(4)}`}`,
+            overall ? [userPhone, range.start, range.end] : [userPhone, range.start, range.end, category]
+        );
+        return result.rows[0].total;
+    }
+
+    /**
+     * Current period of every budget the user has, overall budgets first.
+     * Each entry has the budget row plus range, spent, carried (unspent amount rolled
+     * over from the previous period), available, daysLeft and safeDaily.
+     */
+    async getBudgetStatus(userPhone) {
         if (!this.pool) return [];
-        const startDate = period === 'month'
-            ? new Date().toISOString().substring(0, 7) + '-01'
-            : new Date().toISOString().split('T')[0];
-
-        const result = await this.pool.query(
-            `SELECT 
-                b.category,
-                b.amount as budget_limit,
-                COALESCE(SUM(e.amount), 0) as spent
-             FROM budgets b
-             LEFT JOIN expenses e ON 
-                 b.category = e.category 
-                 AND e.user_phone = b.user_phone
-                 AND e.date >= $1
-             WHERE b.user_phone = $2
-             GROUP BY b.category, b.amount`,
-            [startDate, userPhone]
+        const timezone = await this.getUserTimezone(userPhone);
+        const today = DateUtils.today(timezone);
+        const budgets = await this.getBudgets(userPhone);
+
+        const status = [];
+        for (const budget of budgets) {
+            const kind = BUDGET_PERIODS[budget.period] || 'month';
+            const range = DateUtils.resolvePeriod({ kind, offset: 0 }, today);
+            const spent = await this.getBudgetSpent(userPhone, budget.category, range);
+
+            // Only the previous period carries over, and only if the budget already existed then.
+            // created_at is kept when the amount changes so an edited budget still rolls over
+            let carried = 0;
+            if (budget.rollover) {
+                const previous = DateUtils.resolvePeriod({ kind, offset: -1 }, today);
+                const createdOn = DateUtils.toLocalDate(budget.created_at, timezone);
+                if (createdOn <= previous.end) {
+                    const previousSpent = await this.getBudgetSpent(userPhone, budget.category, previous);
+                    carried = Math.max(budget.amount - previousSpent, 0);
+                }
+            }
+
+            const available = budget.amount + carried;
+            const daysLeft = DateUtils.daysBetween(today, range.end);
+            status.push({
+                ...budget,
+                budget_limit: budget.amount,
+                range,
+                spent,
+                carried,
+                available,
+                daysLeft,
+                safeDaily: Math.max(available - spent, 0) / daysLeft
+            });
+        }
+
+        return status.sort((a, b) => (b.category === OVERALL_BUDGET) - (a.category === OVERALL_BUDGET));
+    }
+
+    // Records that an alert went out; false when this threshold was already alerted for the period
+    async recordBudgetAlert(userPhone, category, period, periodStart, threshold) {
+        if (!this.pool) return false;
+        const result = await this.pool.query(
+            `INSERT INTO budget_alerts (user_phone, category, period, period_start, threshold)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT(user_phone, category, period, period_start, threshold) DO NOTHING`,
+            [userPhone, category, period, periodStart, threshold]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Forgets recorded alerts whose message could not be sent, so the next expense tries again
+    async clearBudgetAlerts(userPhone, category, period, periodStart, thresholds) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `DELETE FROM budget_alerts
+             WHERE user_phone = $1 AND category = $2 AND period = $3 AND period_start = $4 AND threshold = ANY($5)`,
+            [userPhone, category, period, periodStart, thresholds]
+        );
+        return result.rowCount;
+    }
+
+    async setBudgetAlertsMuted(userPhone, category, muted) {
+        if (!this.pool) return 0;
+        const result = muted
+            ? await this.pool.query(
+                `INSERT INTO budget_alert_mutes (user_phone, category) VALUES ($1, $2)
+                 ON CONFLICT(user_phone, category) DO NOTHING`,
+                [userPhone, category]
+            )
+            : await this.pool.query(
+                `DELETE FROM budget_alert_mutes WHERE user_phone = $1 AND category = $2`,
+                [userPhone, category]
+            );
+        return result.rowCount;
+    }
+
+    async isBudgetAlertMuted(userPhone, category) {
+        if (!this.pool) return false;
+        const result = await this.pool.query(
+            `SELECT 1 FROM budget_alert_mutes WHERE user_phone = $1 AND category = $2`,
+            [userPhone, category]
+        );
+        return result.rows.length > 0;
+    }
+
+    async createRecurringExpense(userPhone, rule) {
+        if (!this.pool) throw new Error('Database not connected');
+        const result = await this.pool.query(
+            `INSERT INTO recurring_expenses
+                (user_phone, amount, description, category, merchant, frequency, day_of_week, day_of_month, month_of_year, next_run)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING id`,
+            [
+                userPhone,
+                rule.amount,
+                rule.description || '',
+                rule.category || 'other',
+                rule.merchant || '',
+                rule.frequency,
+                rule.day_of_week ?? null,
+                rule.day_of_month ?? null,
+                rule.month_of_year ?? null,
+                rule.next_run
+            ]
+        );
+        return result.rows[0].id;
+    }
+
+    async getRecurringExpenses(userPhone) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `SELECT * FROM recurring_expenses WHERE user_phone = $1 ORDER BY active DESC, next_run ASC`,
+            [userPhone]
         );
         return result.rows;
     }
 
+    async getRecurringExpense(id, userPhone) {
+        if (!this.pool) return null;
+        const result = await this.pool.query(
+            `SELECT * FROM recurring_expenses WHERE id = $1 AND user_phone = $2`,
+            [id, userPhone]
+        );
+        return result.rows[0] || null;
+    }
+
+    async setRecurringActive(id, userPhone, active, nextRun = null) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `UPDATE recurring_expenses SET active = $1, next_run = COALESCE($2, next_run)
+             WHERE id = $3 AND user_phone = $4`,
+            [active, nextRun, id, userPhone]
+        );
+        return result.rowCount;
+    }
+
+    async deleteRecurringExpense(id, userPhone) {
+        if (!this.pool) return 0;
+        const result = await this.pool.query(
+            `DELETE FROM recurring_expenses WHERE id = $1 AND user_phone = $2`,
+            [id, userPhone]
+        );
+        return result.rowCount;
+    }
+
+    // Active rules due on or before the given date, with each owner's timezone
+    async getDueRecurringExpenses(untilDate) {
+        if (!this.pool) return [];
+        const result = await this.pool.query(
+            `SELECT r.*, u.timezone FROM recurring_expenses r
+             JOIN users u ON u.phone = r.user_phone
+             WHERE r.active AND r.next_run <= $1
+             ORDER BY r.next_run ASC`,
+            [untilDate]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Logs one occurrence of a recurring expense and moves the rule past it, in one transaction.
+     * The rule is claimed first (next_run must still be `runDate`), so when two runs overlap, on
+     * one server or several, only the one that claims it inserts the expense.
+     * @returns {Promise<number|null>} the new expense id, or null when another run got there first
+     */
+    async logRecurringOccurrence(rule, runDate, nextRun) {
+        if (!this.pool) return null;
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const claimed = await client.query(
+                `UPDATE recurring_expenses SET next_run = $1, last_run = $2
+                 WHERE id = $3 AND next_run = $2`,
+                [nextRun, runDate, rule.id]
+            );
+            if (claimed.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const id = await this.insertExpense(client, rule.user_phone, {
+                amount: rule.amount,
+                description: rule.description,
+                category: rule.category,
+                merchant: rule.merchant,
+                date: runDate
+            }, rule.timezone);
+            await client.query('COMMIT');
+            return id;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
     async close() {
         if (this.pool) {
             await this.pool.end();
@@ -0,0 +1,203 @@
+const groqService = require('./groq');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const DateUtils = require('../utils/dates');
+const { CATEGORY_KEYWORDS, MERCHANT_KEYWORDS } = require('../config/constants');
+
+const WEEKDAY = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)';
+const FULL_WEEKDAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+
+// Money coming in; "salary" and "stipend" get the salary category, the rest income
+const INCOME_PATTERN = /\b(?:received|credited|earned|salary|stipend|refund(?:ed)?|cashback|bonus|income|got paid)\b/;
+const SALARY_PATTERN = /\b(?:salary|stipend)\b/;
+
+// Where one expense ends and the next begins: "200 on lunch, 80 on auto and 450 on groceries"
+// (a comma followed by a digit is a thousands separator, as in "1,200")
+const SEPARATOR_PATTERN = /\s*(?:[;\n]|,(?!\d)|\band\b|\bplus\b|&)\s*/;
+
+// "at Subway", "from Amazon", "to Ramesh": up to three words naming who was paid
+const MERCHANT_PATTERN = /\b(?:at|from|to|via)\s+([a-z][\w&'.-]*(?:\s+[a-z][\w&'.-]*){0,2})/;
+
+// Words that say money changed hands but not what for; dropped from the description
+const FILLER_WORDS = new Set(['spent', 'spend', 'spending', 'paid', 'pay', 'bought', 'buy', 'purchased', 'got',
+    'received', 'credited', 'earned', 'for', 'on', 'of', 'the', 'a', 'an', 'my', 'i', 'me', 'just', 'only', 'worth',
+    'total', 'rs', 'rupees', 'rupee', 'inr', 'was', 'is', 'some']);
+
+// Words that end a merchant name
+const MERCHANT_STOP_WORDS = new Set(['for', 'on', 'and', 'with', 'today', 'yesterday', 'last', 'this', 'rs', 'rupees', 'inr']);
+
+const CATEGORY_WORDS = new Set(Object.values(CATEGORY_KEYWORDS).flat());
+
+function titleCase(text) {
+    return text.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// The merchant as the user wrote it ("DMart"), or title case when they typed it all lowercase
+function restoreCase(name, original) {
+    const index = original.toLowerCase().indexOf(name);
+    const written = index >= 0 ? original.substring(index, index + name.length) : name;
+    return written === written.toLowerCase() ? titleCase(written) : written;
+}
+
+/**
+ * Turns an expense message into the same entries GroqService.parseTextExpenses returns:
+ * { amount, direction, description, category, merchant, currency, date? }.
+ * Messages the rules read with confidence ("spent 250 on lunch", "auto 40") never reach the
+ * LLM; the rest go to Groq, and the rule-based reading is the fallback when Groq fails.
+ */
+class ExpenseParser {
+    /**
+     * @param {string} text - Message without hashtags
+     * @param {Object} [options]
+     * @param {string} [options.today] - 'YYYY-MM-DD' in the user's timezone, for "yesterday" and weekdays
+     * @param {string[]} [options.categories] - The user's category names, for Groq to pick from
+     * @returns {Promise<Object[]|null>} null when neither parser could read the message
+     */
+    async parse(text, { today, categories } = {}) {
+        const local = this.parseLocal(text, today);
+        if (local.confident) {
+            logger.info('Parsed expense with rules');
+            return local.expenses;
+        }
+
+        const parsed = await groqService.parseTextExpenses(text, categories);
+        if (parsed) {
+            // The model doesn't know today's date, so a date found by the rules is kept
+            if (local.date) parsed.forEach(expense => { expense.date = expense.date || local.date; });
+            return parsed;
+        }
+
+        logger.info('Falling back to rule-based expense parsing');
+        return local.expenses.length > 0 ? local.expenses : null;
+    }
+
+    /**
+     * Deterministic reading of a message.
+     * @returns {{expenses: Object[], confident: boolean, date: string|null}} confident is true when every
+     *   entry has exactly one amount and a known category
+     */
+    parseLocal(text, today = DateUtils.today()) {
+        const original = (text || '').replace(/\s+/g, ' ').trim();
+        const { date, rest } = this.extractDate(original.toLowerCase(), today);
+
+        const segments = rest.split(SEPARATOR_PATTERN).filter(Boolean);
+        // Split only when every piece has its own amount, so "bread and butter 60" stays one expense
+        const split = segments.length > 1 && segments.every(segment => Helpers.findAmounts(segment).length > 0);
+        const pieces = split ? segments : [rest];
+        // A comma-separated list with an amount missing ("200 on lunch, on auto") is left to Groq
+        const unsureList = !split && rest.split(/\s*[,;\n](?!\d)\s*/).filter(Boolean).length > 1;
+
+        const results = pieces.map(piece => this.parseSegment(piece));
+        const usable = results.filter(result => result.expense.amount !== null || result.expense.category);
+        const expenses = usable.map(({ expense }) => ({
+            ...expense,
+            merchant: expense.merchant && restoreCase(expense.merchant, original),
+            description: expense.description === expense.merchant ? restoreCase(expense.merchant, original) : expense.description,
+            ...(date ? { date } : {})
+        }));
+
+        return {
+            expenses,
+            confident: !unsureList && usable.length === results.length && results.every(result => result.confident),
+            date
+        };
+    }
+
+    parseSegment(text) {
+        const amounts = Helpers.findAmounts(text);
+        const marked = amounts.filter(amount => amount.marked);
+        // A single amount, or the only one written as money, is unambiguous
+        const clear = marked.length === 1 ? marked[0] : (amounts.length === 1 ? amounts[0] : null);
+        const chosen = clear || [...(marked.length > 0 ? marked : amounts)].sort((a, b) => b.value - a.value)[0];
+
+        let rest = chosen ? `${text.slice(0, chosen.index)} ${text.slice(chosen.index + chosen.length)}` : text;
+        rest = rest.replace(/\/-/g, ' ').replace(/[^\w\s&'.-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+        const direction = INCOME_PATTERN.test(rest) ? 'income' : 'expense';
+        const merchant = this.findMerchant(rest);
+        if (merchant && merchant.phrase) {
+            rest = rest.replace(merchant.phrase, ' ');
+        }
+
+        const description = rest.split(' ')
+            .filter(word => word && !FILLER_WORDS.has(word.replace(/\.$/, '')))
+            .join(' ')
+            .replace(/^[.-]+|[.-]+$/g, '')
+            .trim();
+
+        // What was bought says more than where: "groceries at DMart" is food
+        const category = direction === 'income'
+            ? (SALARY_PATTERN.test(text) ? 'salary' : 'income')
+            : Helpers.guessCategory(description) || Helpers.guessCategory(merchant ? merchant.name : '');
+
+        return {
+            expense: {
+                amount: chosen && chosen.value > 0 ? chosen.value : null,
+                direction,
+                description: description || (merchant ? merchant.name : ''),
+                category,
+                merchant: merchant ? merchant.name : null,
+                currency: 'INR'
+            },
+            confident: Boolean(clear) && Boolean(category) && Boolean(description || merchant)
+        };
+    }
+
+    // "at subway" -> Subway, or a well-known brand anywhere in the text
+    findMerchant(text) {
+        const match = text.match(MERCHANT_PATTERN);
+        if (match) {
+            const words = [];
+            for (const word of match[1].split(' ')) {
+                if (MERCHANT_STOP_WORDS.has(word)) break;
+                words.push(word);
+            }
+            const name = words.join(' ');
+            if (name && !CATEGORY_WORDS.has(name)) {
+                return { name, phrase: `${match[0].split(' ')[0]} ${name}` };
+            }
+        }
+
+        const brand = Object.keys(MERCHANT_KEYWORDS).find(keyword => new RegExp(`\\b${keyword}\\b`).test(text));
+        return brand ? { name: brand, phrase: null } : null;
+    }
+
+    // Pulls out "yesterday", "3 days ago", "last friday", "on 12 oct"; returns the date and the text without it
+    extractDate(text, today) {
+        const daysBack = (index, strict) => {
+            const back = (DateUtils.parse(today).getUTCDay() - index + 7) % 7;
+            return DateUtils.addDays(today, -(back === 0 && strict ? 7 : back));
+        };
+
+        const rules = [
+            { regex: /\bday before yesterday\b/, resolve: () => DateUtils.addDays(today, -2) },
+            { regex: /\byesterday\b/, resolve: () => DateUtils.addDays(today, -1) },
+            { regex: /\btoday\b/, resolve: () => today },
+            { regex: /\b(\d{1,2}) days? ago\b/, resolve: m => DateUtils.addDays(today, -parseInt(m[1], 10)) },
+            { regex: new RegExp(`\\blast ${WEEKDAY}\\b`), resolve: m => daysBack(DateUtils.weekdayIndex(m[1]), true) },
+            { regex: new RegExp(`\\bon ${WEEKDAY}\\b`), resolve: m => daysBack(DateUtils.weekdayIndex(m[1]), false) },
+            { regex: new RegExp(`\\b${FULL_WEEKDAY}\\b`), resolve: m => daysBack(DateUtils.weekdayIndex(m[1]), false) },
+            { regex: /\bon (\d{1,2}[/.]\d{1,2}(?:[/.]\d{2,4})?)(?![\d.])/, resolve: m => this.resolveToken(m[1], today) },
+            { regex: /\b(?:on )?(\d{1,2}(?:st|nd|rd|th)? (?:of )?[a-z]{3,9}(?:,? \d{4})?|[a-z]{3,9} \d{1,2}(?:st|nd|rd|th)?(?:,? \d{4})?)\b(?! ?(?:rs|rupees|inr|k|\/-))/g, resolve: m => this.resolveToken(m[1], today) }
+        ];
+
+        for (const { regex, resolve } of rules) {
+            const matches = regex.global ? [...text.matchAll(regex)] : [text.match(regex)].filter(Boolean);
+            for (const match of matches) {
+                const date = resolve(match);
+                if (date) {
+                    const rest = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+                    return { date, rest: rest.replace(/\s+/g, ' ').trim() };
+                }
+            }
+        }
+        return { date: null, rest: text };
+    }
+
+    resolveToken(token, today) {
+        const parsed = DateUtils.parseDateToken(token);
+        return parsed ? DateUtils.resolveDate(parsed, today, parsed.year) : null;
+    }
+}
+
+module.exports = new ExpenseParser();
@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const databaseService = require('./database');
+const whatsappService = require('./whatsapp');
+const budgetAlertService = require('./budgetAlerts');
+const conversationState = require('./conversation');
+const commandRouter = require('./commandRouter');
+const categoryService = require('./categories');
+const receiptStorage = require('./storage');
+const logger = require('../utils/logger');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+const Validator = require('../utils/validator');
+const { LIMITS } = require('../config/constants');
+
+const YES_PATTERN = /^(?:y|yes|yeah|yep|ok|okay|save|save it|save anyway)[.!]*$/i;
+const NO_PATTERN = /^(?:n|no|nope|cancel|skip|don'?t save|discard)[.!]*$/i;
+const CHANGE_PATTERN = /^(?:change|edit|fix)(?:\s+(?:it|something))?$/i;
+const FIELD_PATTERN = /^(?:change\s+|edit\s+|fix\s+)?(?<field>category|amount)(?:\s+(?:to\s+)?(?<value>.+))?$/i;
+
+// Reply button ids of the confirm-before-save prompt
+const BUTTONS = {
+    save: 'expense_save',
+    change: 'expense_change',
+    cancel: 'expense_cancel',
+    category: 'expense_category',
+    amount: 'expense_amount',
+    back: 'expense_back'
+};
+
+const FLOW = 'expense';
+
+/**
+ * Saves parsed expenses and sends their confirmations. An expense is held back in the
+ * conversation state when something has to be asked first: a missing amount or unclear
+ * category, whether to save a likely duplicate, or (with confirm-before-save on) the
+ * Save / Change / Cancel prompt. The next message is passed to handleReply before routing.
+ *
+ * State data: { expenseData, options, duplicate, next }, with step 'duplicate', 'confirm', or
+ * 'amount'/'category' while waiting for a value; `next` says whether a value goes back to the
+ * confirm prompt or on to recording. Several expenses from one message wait together in step
+ * 'batch' with data { expenses, options, duplicates }.
+ */
+class ExpenseRecorder {
+    constructor() {
+        conversationState.registerFlow(FLOW, (userPhone, reply, state) => this.handleReply(userPhone, reply, state));
+    }
+
+    hashFile(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    /**
+     * Saves an expense, or asks first when it looks like a duplicate or the user confirms
+     * before saving.
+     * @param {Object} expenseData - Validated parser output
+     * @param {Object} [options]
+     * @param {string} [options.kind] - 'text' or 'receipt', picks the confirmation layout
+     * @param {string} [options.heard] - Prefix for voice-note replies
+     * @param {{buffer: Buffer, mimeType: string}} [options.file] - Receipt original to archive
+     * @param {boolean} [options.force] - Skip the duplicate check and the confirm-before-save prompt
+     * @returns {Promise<number|null>} the new expense ID, or null while waiting for the user
+     */
+    async record(userPhone, expenseData, options = {}) {
+        const { file, force, ...rest } = options;
+        options = rest;
+        if (file) {
+            expenseData.receipt_hash = expenseData.receipt_hash || this.hashFile(file.buffer);
+            // Archived now and linked once saved, as the buffer can't wait in the conversation state
+            options.receiptFileId = await receiptStorage.saveReceipt(userPhone, null, file.buffer, file.mimeType);
+        }
+        if (force) return this.save(userPhone, expenseData, options);
+
+        const duplicate = await this.findDuplicate(userPhone, expenseData);
+
+        if (await databaseService.getConfirmBeforeSave(userPhone)) {
+            const data = { expenseData, options, duplicate };
+            await this.hold(userPhone, 'confirm', data);
+            await this.sendConfirmPrompt(userPhone, data, options.heard || '');
+            return null;
+        }
+
+        if (duplicate) {
+            await this.hold(userPhone, 'duplicate', { expenseData, options, duplicate });
+            await whatsappService.sendMessage(userPhone, `${options.heard || ''}${this.formatDuplicateQuestion(expenseData, duplicate)}`);
+            return null;
+        }
+
+        return this.save(userPhone, expenseData, options);
+    }
+
+    /**
+     * Saves several expenses from one message in one transaction. With confirm-before-save on,
+     * or when one of them looks like a duplicate, the list is shown first and then saved or
+     * discarded as a whole.
+     * @param {Object[]} expenses - Validated parser output
+     * @returns {Promise<number[]|null>} the new expense IDs, or null while waiting for the user
+     */
+    async recordMany(userPhone, expenses, options = {}) {
+        const duplicates = [];
+        for (const expenseData of expenses) {
+            duplicates.push(await this.findDuplicate(userPhone, expenseData));
+        }
+
+        const confirmMode = await databaseService.getConfirmBeforeSave(userPhone);
+        if (confirmMode || duplicates.some(Boolean)) {
+            await this.hold(userPhone, 'batch', { expenses, options, duplicates });
+            const question = this.formatBatchQuestion(expenses, duplicates, options.heard || '');
+            if (confirmMode) {
+                await whatsappService.sendInteractiveButtons(userPhone, question, [
+                    { id: BUTTONS.save, title: '✅ Save all' },
+                    { id: BUTTONS.cancel, title: '❌ Cancel' }
+                ]);
+            } else {
+                await whatsappService.sendMessage(userPhone, `${question}\n\nReply *yes* or *no*.`);
+            }
+            return null;
+        }
+
+        return this.saveMany(userPhone, expenses, options);
+    }
+
+    // 'amount' or 'category' when the parser could not tell, otherwise null;
+    // categories is the user's list of category names
+    missingField(expenseData, categories = Validator.VALID_CATEGORIES) {
+        if (!Validator.validateAmount(expenseData.amount)) return 'amount';
+        if (!Validator.validateCategory(expenseData.category || '', categories)) return 'category';
+        return null;
+    }
+
+    /**
+     * Asks for a missing amount or category; the answer continues to record().
+     * @param {string} field - 'amount' or 'category'
+     */
+    async askFor(userPhone, expenseData, options, field) {
+        await this.hold(userPhone, field, { expenseData, options, duplicate: null, next: 'record' });
+        const categories = await categoryService.names(userPhone);
+        await whatsappService.sendMessage(userPhone, `${options.heard || ''}${this.formatQuestion(expenseData, field, categories)}`);
+    }
+
+    async hold(userPhone, step, data) {
+        await conversationState.set(userPhone, { flow: FLOW, step, data });
+    }
+
+    async findDuplicate(userPhone, expenseData) {
+        try {
+            const date = expenseData.date || DateUtils.today(await databaseService.getUserTimezone(userPhone));
+            return await databaseService.findDuplicateExpense(userPhone, { ...expenseData, date }, LIMITS.DUPLICATE_WINDOW_DAYS);
+        } catch (error) {
+            // A failed check should not stop the expense from being saved
+            logger.error(`Duplicate check failed for ${userPhone}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Answers what the expense flow is waiting for, typed or tapped (a reply button's id).
+     * Returns false when the message is not an answer, so it is routed as usual; the
+     * question stays open until it expires.
+     */
+    async handleReply(userPhone, text, { step, data }) {
+        const reply = (text || '').trim();
+        if (step === 'batch') {
+            if (reply === BUTTONS.save || YES_PATTERN.test(reply)) {
+                await conversationState.clear(userPhone);
+                await this.saveMany(userPhone, data.expenses, data.options);
+                return true;
+            }
+            if (reply === BUTTONS.cancel || NO_PATTERN.test(reply)) return this.cancel(userPhone, step, data);
+            return false;
+        }
+        if (step === 'duplicate') {
+            if (YES_PATTERN.test(reply)) return this.confirm(userPhone, data);
+            if (NO_PATTERN.test(reply)) return this.cancel(userPhone, step, data);
+            return false;
+        }
+
+        if (reply === BUTTONS.cancel || NO_PATTERN.test(reply)) return this.cancel(userPhone, step, data);
+        if (step === 'confirm' && (reply === BUTTONS.save || YES_PATTERN.test(reply))) return this.confirm(userPhone, data);
+
+        if (step === 'confirm' && (reply === BUTTONS.change || CHANGE_PATTERN.test(reply))) {
+            await whatsappService.sendInteractiveButtons(userPhone, '✏️ What should I change?', [
+                { id: BUTTONS.category, title: '📂 Category' },
+                { id: BUTTONS.amount, title: '💰 Amount' },
+                { id: BUTTONS.back, title: '↩️ Back' }
+            ]);
+            return true;
+        }
+        if (step === 'confirm' && reply === BUTTONS.back) {
+            await this.sendConfirmPrompt(userPhone, data);
+            return true;
+        }
+
+        const field = reply === BUTTONS.category ? { field: 'category' }
+            : reply === BUTTONS.amount ? { field: 'amount' }
+            : step === 'confirm' ? reply.match(FIELD_PATTERN)?.groups
+            : null;
+        if (field) {
+            const nextStep = field.field.toLowerCase();
+            const nextData = { ...data, next: 'confirm' };
+            if (field.value) return this.applyValue(userPhone, nextStep, nextData, field.value);
+
+            await this.hold(userPhone, nextStep, nextData);
+            const categories = await categoryService.names(userPhone);
+            await whatsappService.sendMessage(userPhone, this.formatQuestion(data.expenseData, nextStep, categories));
+            return true;
+        }
+
+        if (step === 'category' || step === 'amount') {
+            return this.applyValue(userPhone, step, data, reply);
+        }
+        return false;
+    }
+
+    // Sets the amount or category that was asked for, then goes back to the prompt or on to recording
+    async applyValue(userPhone, step, data, value) {
+        const { expenseData } = data;
+        const categories = await categoryService.names(userPhone);
+        const category = categoryService.resolve(categories, value);
+        const amounts = Helpers.findAmounts(value);
+        const amount = amounts.length > 0 ? amounts[0].value : null;
+        const valid = step === 'category' ? Boolean(category) : Validator.validateAmount(amount);
+        // Only a category name or a bare amount ("450", "₹1.5k") is surely the answer; a number
+        // inside other text may belong to a new message ("spent 80 on auto", "september 2025")
+        const bareAmount = amounts.length === 1 && amounts[0].index === 0 && amounts[0].length === value.trim().length;
+        const answered = step === 'category' ? valid : valid && bareAmount;
+
+        if (!answered) {
+            // The user moved on to something else ("today", another expense): drop the question
+            const match = commandRouter.match(value, { categories });
+            if (match && !match.incomplete) {
+                await conversationState.clear(userPhone);
+                return false;
+            }
+        }
+
+        if (!valid) {
+            await whatsappService.sendMessage(userPhone, step === 'category'
+                ? `⚠️ "${value}" isn't a category. Valid: ${categories.join(', ')} (or "cancel")`
+                : `⚠️ "${value}" isn't a valid amount. Send a number like 450 (or "cancel").`);
+            return true;
+        }
+
+        if (step === 'category') {
+            expenseData.category = category;
+        } else {
+            expenseData.amount = amount;
+        }
+
+        if (data.next === 'record') {
+            const missing = this.missingField(expenseData, categories);
+            if (missing) {
+                await this.askFor(userPhone, expenseData, data.options, missing);
+            } else {
+                await conversationState.clear(userPhone);
+                await this.record(userPhone, expenseData, data.options);
+            }
+            return true;
+        }
+
+        const nextData = { ...data, duplicate: await this.findDuplicate(userPhone, expenseData) };
+        await this.hold(userPhone, 'confirm', nextData);
+        await this.sendConfirmPrompt(userPhone, nextData);
+        return true;
+    }
+
+    async confirm(userPhone, data) {
+        await conversationState.clear(userPhone);
+        await this.save(userPhone, data.expenseData, data.options);
+        return true;
+    }
+
+    async cancel(userPhone, step, data) {
+        await conversationState.clear(userPhone);
+        await whatsappService.sendMessage(userPhone, step === 'duplicate'
+            ? `👍 Not saved. #${data.duplicate.id} stays as it is.`
+            : '🗑️ Discarded, nothing was saved.');
+        return true;
+    }
+
+    // Parsed expense with Save / Change / Cancel buttons (WhatsApp allows 3 per message)
+    async sendConfirmPrompt(userPhone, { expenseData, duplicate }, heard = '') {
+        const income = Helpers.directionOf(expenseData) === 'income';
+        const tags = expenseData.tags || [];
+
+        const lines = [
+            `${heard}🧐 *Save this ${income ? 'income' : 'expense'}?*`,
+            `💰 Amount: ₹${expenseData.amount}`,
+            expenseData.merchant && `🏪 Merchant: ${expenseData.merchant}`,
+            expenseData.description && `📝 Description: ${expenseData.description}`,
+            `📂 Category: ${expenseData.category || 'other'}`,
+            expenseData.date && `📅 Date: ${DateUtils.formatDisplay(expenseData.date)}`,
+            tags.length > 0 && `🏷️ Tags: ${Helpers.formatTags(tags)}`,
+            duplicate && `\n⚠️ ${this.formatDuplicate(duplicate)}`
+        ];
+
+        await whatsappService.sendInteractiveButtons(userPhone, lines.filter(Boolean).join('\n'), [
+            { id: BUTTONS.save, title: '✅ Save' },
+            { id: BUTTONS.change, title: '✏️ Change' },
+            { id: BUTTONS.cancel, title: '❌ Cancel' }
+        ]);
+    }
+
+    async save(userPhone, expenseData, { kind = 'text', heard = '', receiptFileId = null } = {}) {
+        const expenseId = await databaseService.saveExpense(userPhone, expenseData);
+        // Keep the original for disputes and warranties
+        const stored = receiptFileId ? await receiptStorage.linkReceipt(receiptFileId, expenseId) : false;
+
+        const message = kind === 'receipt'
+            ? await this.formatReceiptConfirmation(userPhone, expenseData, expenseId, stored)
+            : await this.formatTextConfirmation(userPhone, expenseData, expenseId);
+        await whatsappService.sendMessage(userPhone, heard + message);
+        await budgetAlertService.checkExpense(userPhone, expenseData);
+        return expenseId;
+    }
+
+    async saveMany(userPhone, expenses, { heard = '' } = {}) {
+        const ids = await databaseService.saveExpenses(userPhone, expenses);
+        await whatsappService.sendMessage(userPhone, heard + await this.formatBatchConfirmation(userPhone, expenses, ids));
+        for (const expenseData of expenses) {
+            await budgetAlertService.checkExpense(userPhone, expenseData);
+        }
+        return ids;
+    }
+
+    // "• #12 ₹200 lunch (food)"
+    formatBatchLine(expenseData, id = null) {
+        const what = expenseData.description || expenseData.merchant || 'No description';
+        const merchant = expenseData.merchant && expenseData.description ? ` at ${expenseData.merchant}` : '';
+        return `• ${id ? `#${id} ` : ''}₹${expenseData.amount} ${what}${merchant} (${expenseData.category || 'other'})`;
+    }
+
+    formatBatchQuestion(expenses, duplicates, heard = '') {
+        const lines = expenses.map((expenseData, i) => duplicates[i]
+            ? `${this.formatBatchLine(expenseData)}\n  ⚠️ ${this.formatDuplicate(duplicates[i])}`
+            : this.formatBatchLine(expenseData));
+        return `${heard}🧐 *Save these ${expenses.length} entries?*\n${lines.join('\n')}`;
+    }
+
+    async formatBatchConfirmation(userPhone, expenses, ids) {
+        const spent = expenses
+            .filter(expenseData => Helpers.directionOf(expenseData) === 'expense')
+            .reduce((sum, expenseData) => sum + parseFloat(expenseData.amount), 0);
+        const tags = expenses[0].tags || [];
+        const todayTotal = await this.todayTotal(userPhone);
+
+        return `✅ *${ids.length} Entries Saved!*
+${expenses.map((expenseData, i) => this.formatBatchLine(expenseData, ids[i])).join('\n')}
+${spent > 0 ? `\n💰 Total spent: ₹${spent.toFixed(2)}` : ''}${tags.length > 0 ? `\n🏷️ Tags: ${Helpers.formatTags(tags)}` : ''}
+📊 Today's total: ₹${todayTotal.toFixed(2)}`;
+    }
+
+    // "💰 How much was lunch?" / "📂 Which category is lunch?"
+    formatQuestion(expenseData, field, categories = Validator.VALID_CATEGORIES) {
+        const what = expenseData.description || expenseData.merchant || 'it';
+        return field === 'amount'
+            ? `💰 How much was ${what}? Send the amount, e.g. 250.`
+            : `📂 Which category is ${what}? ${categories.join(', ')}`;
+    }
+
+    // "Looks like a duplicate of #37 (₹250 at Cafe, 19 Oct 2026)."
+    formatDuplicate(duplicate, sameFile = false) {
+        const merchant = duplicate.merchant && duplicate.merchant !== 'Unknown' ? ` at ${duplicate.merchant}` : '';
+        const what = `#${duplicate.id} (₹${duplicate.amount}${merchant}, ${DateUtils.formatDisplay(duplicate.date)})`;
+        return sameFile ? `You sent this receipt before: ${what}.` : `Looks like a duplicate of ${what}.`;
+    }
+
+    formatDuplicateQuestion(expenseData, duplicate) {
+        const sameFile = Boolean(expenseData.receipt_hash) && expenseData.receipt_hash === duplicate.receipt_hash;
+        return `🔁 ${this.formatDuplicate(duplicate, sameFile)}\n\nSave ₹${expenseData.amount} anyway? Reply *yes* or *no*.`;
+    }
+
+    async todayTotal(userPhone) {
+        const today = await databaseService.resolvePeriod(userPhone, { kind: 'day', offset: 0 });
+        return databaseService.getTotalInRange(userPhone, today);
+    }
+
+    async formatTextConfirmation(userPhone, expenseData, expenseId) {
+        const tags = expenseData.tags || [];
+        const tagsLine = (expenseData.date ? `\n📅 Date: ${DateUtils.formatDisplay(expenseData.date)}` : '')
+            + (tags.length > 0 ? `\n🏷️ Tags: ${Helpers.formatTags(tags)}` : '');
+
+        if (Helpers.directionOf(expenseData) === 'income') {
+            return `✅ *Income Saved!* #${expenseId}
+💵 Amount: ₹${expenseData.amount}
+📝 Source: ${expenseData.description || 'No description'}
+📂 Category: ${expenseData.category || 'income'}${tagsLine}
+
+📈 Send "cashflow" to see income against spending.`;
+        }
+
+        const todayTotal = await this.todayTotal(userPhone);
+        return `✅ *Expense Saved!* #${expenseId}
+💰 Amount: ₹${expenseData.amount}
+📝 Description: ${expenseData.description || 'No description'}
+📂 Category: ${expenseData.category || 'other'}${tagsLine}
+${expenseData.merchant ? `🏪 Merchant: ${expenseData.merchant}` : ''}
+
+📊 Today's total: ₹${todayTotal.toFixed(2)}`;
+    }
+
+    async formatReceiptConfirmation(userPhone, receiptData, expenseId, stored) {
+        const todayTotal = await this.todayTotal(userPhone);
+
+        const itemCheck = Validator.checkLineItemTotals(receiptData.items, receiptData.amount);
+        const itemsNote = itemCheck && !itemCheck.matches
+            ? `\n⚠️ Items add up to ₹${itemCheck.itemsTotal.toFixed(2)}, the receipt total is ₹${receiptData.amount} (tax or discounts may explain the difference)`
+            : '';
+
+        const tags = receiptData.tags || [];
+        const tagsLine = tags.length > 0 ? `\n🏷️ Tags: ${Helpers.formatTags(tags)}` : '';
+
+        return `✅ *Receipt Processed!* #${expenseId}
+💰 Amount: ₹${receiptData.amount}
+🏪 Merchant: ${receiptData.merchant || 'Unknown'}
+📂 Category: ${receiptData.category}${tagsLine}
+${receiptData.items && receiptData.items.length > 0 ? `\n🛍️ Items:\n${whatsappService.formatLineItems(receiptData.items)}${itemsNote}` : ''}
+
+📊 Today's total: ₹${todayTotal.toFixed(2)}${stored ? `\n🗂️ Original saved, send "receipt ${expenseId}" to get it back` : ''}`;
+    }
+}
+
+module.exports = new ExpenseRecorder();
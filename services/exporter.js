@@ -0,0 +1,114 @@
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+    csv: { mimeType: 'text/csv', extension: 'csv' },
+    xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const COLUMNS = [
+    { header: 'ID', key: 'id', width: 8 },
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Type', key: 'direction', width: 10 },
+    { header: 'Amount', key: 'amount', width: 12 },
+    { header: 'Category', key: 'category', width: 14 },
+    { header: 'Merchant', key: 'merchant', width: 20 },
+    { header: 'Description', key: 'description', width: 30 },
+    { header: 'Tags', key: 'tags', width: 20 },
+    { header: 'Items', key: 'items', width: 50 }
+];
+
+class ExportService {
+    get formats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Builds a spreadsheet from DatabaseService.getExportRows rows.
+     * @returns {Promise<{buffer: Buffer, mimeType: string, filename: string}>}
+     */
+    async build(rows, format, name) {
+        const spec = FORMATS[format];
+        if (!spec) throw new Error(`Unsupported export format: ${format}`);
+
+        const buffer = format === 'xlsx' ? await this.buildXlsx(rows) : this.buildCsv(rows);
+        return { buffer, mimeType: spec.mimeType, filename: `${name}.${spec.extension}` };
+    }
+
+    buildCsv(rows) {
+        const lines = [COLUMNS.map(c => c.header)];
+        rows.forEach(row => {
+            const values = this.toRecord(row);
+            lines.push(COLUMNS.map(c => values[c.key]));
+        });
+
+        // Excel only detects UTF-8 (₹ and non-English names) when the file starts with a byte order mark
+        const csv = lines.map(line => line.map(value => this.escapeCsv(value)).join(',')).join('\r\n');
+        return Buffer.from(`\uFEFF${csv}\r\n`, 'utf8');
+    }
+
+    async buildXlsx(rows) {
+        const workbook = new ExcelJS.Workbook();
+
+        const sheet = workbook.addWorksheet('Expenses');
+        sheet.columns = COLUMNS;
+        sheet.getRow(1).font = { bold: true };
+        rows.forEach(row => sheet.addRow(this.toRecord(row)));
+        sheet.getColumn('amount').numFmt = '#,##0.00';
+
+        // Line items get their own sheet so they can be filtered and summed
+        const itemRows = rows.flatMap(row => row.items.map(item => ({
+            expense_id: row.id,
+            date: row.date,
+            name: item.name,
+            quantity: item.quantity,
+            unit_price: item.unit_price,
+            line_total: item.line_total
+        })));
+        if (itemRows.length > 0) {
+            const items = workbook.addWorksheet('Items');
+            items.columns = [
+                { header: 'Expense ID', key: 'expense_id', width: 10 },
+                { header: 'Date', key: 'date', width: 12 },
+                { header: 'Item', key: 'name', width: 30 },
+                { header: 'Quantity', key: 'quantity', width: 10 },
+                { header: 'Unit Price', key: 'unit_price', width: 12 },
+                { header: 'Total', key: 'line_total', width: 12 }
+            ];
+            items.getRow(1).font = { bold: true };
+            itemRows.forEach(item => items.addRow(item));
+        }
+
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    toRecord(row) {
+        return {
+            id: row.id,
+            date: row.date,
+            direction: row.direction || 'expense',
+            amount: row.amount,
+            category: row.category,
+            merchant: row.merchant || '',
+            description: row.description || '',
+            tags: Array.isArray(row.tags) ? row.tags.map(tag => `#${tag}`).join(' ') : '',
+            items: row.items.map(item => this.formatItem(item)).join('; ')
+        };
+    }
+
+    formatItem(item) {
+        const quantity = parseFloat(item.quantity ?? 1);
+        const qty = quantity !== 1 ? `${quantity} x ` : '';
+        const total = item.line_total !== null && item.line_total !== undefined ? ` = ${item.line_total}` : '';
+        return `${qty}${item.name}${total}`;
+    }
+
+    escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        // Stop spreadsheet apps from running a merchant name like "=HYPERLINK(...)" as a formula
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = new ExportService();
@@ -1,15 +1,17 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmService = require('./llm');
+const categoryService = require('./categories');
+const Validator = require('../utils/validator');
 const logger = require('../utils/logger');
+const PdfUtils = require('../utils/pdf');
 
-class GeminiService {
-    constructor() {
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error('GEMINI_API_KEY environment variable is required');
-        }
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    }
+// Pages of a PDF that are read; pages after the bill itself are usually terms or ads
+const MAX_PDF_PAGES = 5;
 
+/**
+ * Receipt and invoice extraction. The prompt and the clean-up of its answer live here;
+ * llmService sends the image to the vision providers (Gemini first by default) with failover.
+ */
+class GeminiService {
     // FIXED: Simple and safe regex patterns
     cleanJSONResponse(responseText) {
         if (!responseText) return null;
@@ -31,74 +33,52 @@ class GeminiService {
         return cleaned;
     }
 
-    async extractReceiptData(imageBuffer) {
+    /**
+     * Extracts a receipt from one image or single-page PDF.
+     * @param {Buffer} imageBuffer
+     * @param {string} [mimeType] - image/jpeg, image/png, image/webp or application/pdf
+     * @param {string[]} [categories] - The user's category names the model picks from
+     */
+    async extractReceiptData(imageBuffer, mimeType = 'image/jpeg', categories = Validator.VALID_CATEGORIES) {
         try {
-            logger.info('Sending image to Gemini Vision for processing...');
+            logger.info(`Sending ${mimeType} for receipt extraction...`);
 
             const prompt = `
-            Analyze this receipt image and extract expense information in Indian context. 
+            Analyze this receipt, bill or invoice and extract expense information in Indian context. 
+            If this page has no bill total (terms, ads, a blank page), return {"amount": null}.
             Return ONLY valid JSON with these fields:
             {
                 "amount": <total amount in rupees as number>,
                 "merchant": "<store/restaurant name>",
-                "category": "<food/transport/shopping/entertainment/healthcare/utilities/other>",
+                "category": "<one of: ${categoryService.promptLists(categories).expense}>",
                 "date": "<date in YYYY-MM-DD format or null>",
-                "items": ["item1", "item2"] or [],
+                "items": [
+                    {"name": "<item name>", "quantity": <number>, "unitPrice": <price per unit>, "total": <line total>}
+                ] or [],
                 "currency": "INR"
             }
             
             Important:
             - Amount should be in Indian Rupees (₹) as a number
             - If receipt shows ₹250 or Rs.250, return amount as 250
+            - List every line item printed on the receipt; use null for a quantity or price you cannot read
+            - Do not list tax, service charge or discount lines as items
+            - Pick the most specific category that fits, e.g. "food > dining out" over "food" when it is listed
             - Return ONLY the JSON, no explanations or markdown.
             `;
 
-            const imagePart = {
-                inlineData: {
-                    data: imageBuffer.toString('base64'),
-                    mimeType: 'image/jpeg'
-                }
-            };
-
-            let result;
-            let retries = 3;
-
-            for (let i = 0; i < retries; i++) {
-                try {
-                    result = await this.model.generateContent([prompt, imagePart]);
-                    break;
-                } catch (e) {
-                    if (i === retries - 1) throw e;
-                    logger.warn(`Gemini Vision retry ${i + 1}/${retries} failed: ${e.message}`);
-                    await new Promise(r => setTimeout(r, 1000 * Math.pow(2, i)));
-                }
-            }
-
-            const responseText = result.response.text();
-
-            logger.info('Raw Gemini response received');
-
-            // Clean the response
-            const cleanedResponse = this.cleanJSONResponse(responseText);
-
-            if (!cleanedResponse) {
-                logger.error('Empty response after cleaning');
-                return null;
-            }
-
-            // Parse JSON
-            let parsedData;
-            try {
-                parsedData = JSON.parse(cleanedResponse);
-            } catch (parseError) {
-                logger.error('JSON Parse Error:', parseError.message);
-                logger.error('Cleaned response:', cleanedResponse);
-                return null;
-            }
+            // A reply that isn't JSON is retried, then sent to the next provider
+            const parsedData = await llmService.complete('vision', {
+                prompt,
+                image: { buffer: imageBuffer, mimeType },
+                temperature: 0.1,
+                maxTokens: 2048,
+                parse: text => JSON.parse(this.cleanJSONResponse(text))
+            });
 
             // Validate data
             if (!parsedData.amount || typeof parsedData.amount !== 'number') {
-                logger.error('Invalid amount in response');
+                logger.warn('No amount in response');
                 return null;
             }
 
@@ -107,36 +87,81 @@ class GeminiService {
             return {
                 amount: parsedData.amount,
                 merchant: parsedData.merchant || 'Unknown',
-                category: parsedData.category || 'other',
-                date: parsedData.date || new Date().toISOString().split('T')[0],
-                items: parsedData.items || [],
+                category: categoryService.resolve(categories, parsedData.category) || 'other',
+                // Left empty so saveExpense can default it in the user's timezone
+                date: parsedData.date || null,
+                items: this.normalizeLineItems(parsedData.items),
                 currency: 'INR'
             };
 
         } catch (error) {
-            logger.error('Gemini Vision API Error:', error.message);
+            logger.error(`Receipt extraction failed: ${error.message}`);
             return null;
         }
     }
 
-    async generateInsights(expenses) {
-        try {
-            if (!expenses || expenses.length === 0) {
-                return "No expenses to analyze yet. Start tracking your spending in rupees!";
-            }
+    /**
+     * Extracts a receipt from a document. PDFs are split into pages and each page is read on its
+     * own, then the pages are merged as one bill: the largest total printed (the grand total
+     * rather than a page subtotal), the first merchant and date found, and every page's items.
+     */
+    async extractDocumentData(buffer, mimeType, categories = Validator.VALID_CATEGORIES) {
+        if (mimeType !== 'application/pdf') {
+            return this.extractReceiptData(buffer, mimeType, categories);
+        }
 
-            const total = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
-            const count = expenses.length;
+        const split = await PdfUtils.splitPages(buffer, MAX_PDF_PAGES);
+        if (!split || split.pageCount <= 1) {
+            return this.extractReceiptData(buffer, mimeType, categories);
+        }
+        if (split.pageCount > MAX_PDF_PAGES) {
+            logger.warn(`PDF has ${split.pageCount} pages, reading the first ${MAX_PDF_PAGES}`);
+        }
 
-            const prompt = `Analyze ${count} expenses totaling ₹${total.toFixed(2)} in Indian context. Provide 2-3 brief insights in under 150 words about spending patterns.`;
+        const pages = [];
+        for (const page of split.pages) {
+            const data = await this.extractReceiptData(page, mimeType, categories);
+            if (data) pages.push(data);
+        }
+        if (pages.length <= 1) return pages[0] || null;
+
+        const known = field => pages.map(p => p[field]).find(value => value && value !== 'Unknown');
+        const main = pages.reduce((best, p) => (p.amount > best.amount ? p : best));
+        return {
+            ...main,
+            merchant: known('merchant') || 'Unknown',
+            date: known('date') || null,
+            items: pages.flatMap(p => p.items)
+        };
+    }
 
-            const result = await this.model.generateContent(prompt);
-            return result.response.text().trim();
+    // Converts the model's line items to { name, quantity, unit_price, line_total }, filling in
+    // whichever of unit price / line total can be derived from the others
+    normalizeLineItems(items) {
+        if (!Array.isArray(items)) return [];
+
+        const toNumber = value => {
+            const num = parseFloat(value);
+            return isNaN(num) ? null : num;
+        };
+
+        return items
+            .map(item => {
+                // Older prompt versions returned plain item names
+                if (typeof item === 'string') {
+                    return { name: item, quantity: 1, unit_price: null, line_total: null };
+                }
 
-        } catch (error) {
-            logger.error('Insights error:', error.message);
-            return "Unable to generate insights right now.";
-        }
+                const quantity = toNumber(item.quantity) ?? 1;
+                let unitPrice = toNumber(item.unitPrice ?? item.unit_price ?? item.price);
+                let lineTotal = toNumber(item.total ?? item.line_total ?? item.amount);
+
+                if (lineTotal === null && unitPrice !== null) lineTotal = Math.round(unitPrice * quantity * 100) / 100;
+                if (unitPrice === null && lineTotal !== null && quantity > 0) unitPrice = Math.round((lineTotal / quantity) * 100) / 100;
+
+                return { name: String(item.name || '').trim(), quantity, unit_price: unitPrice, line_total: lineTotal };
+            })
+            .filter(item => item.name);
     }
 }
 
@@ -1,72 +1,87 @@
-const Groq = require("groq-sdk");
+const llmService = require('./llm');
+const categoryService = require('./categories');
 const logger = require('../utils/logger');
+const Validator = require('../utils/validator');
 
+// First JSON object or array in a reply, ignoring code fences and chatter around it
+function parseJson(text) {
+    const match = text.match(/[\[{][\s\S]*[\]}]/);
+    return JSON.parse(match ? match[0] : text);
+}
+
+/**
+ * Text tasks: parsing expense messages, translating questions and writing insights. The prompts
+ * live here; llmService picks the model (Groq first by default) and fails over between providers.
+ */
 class GroqService {
-    constructor() {
-        this.groq = new Groq({
-            apiKey: process.env.GROQ_API_KEY
-        });
-    }
 
-    async parseTextExpense(userMessage) {
+    /**
+     * Parses a money message into one entry per expense or income it mentions:
+     * "Spent 200 on lunch, 80 on auto" -> two entries. An entry's amount or category is null
+     * when the message doesn't give it, so it can be asked for.
+     * @param {string[]} [categories] - The user's category names the model picks from
+     * @returns {Promise<Object[]|null>} null when the message could not be parsed
+     */
+    async parseTextExpenses(userMessage, categories = Validator.VALID_CATEGORIES) {
         try {
+            const lists = categoryService.promptLists(categories);
             const prompt = `
-        Parse this expense message in Indian context and extract the spending information.
+        Parse this money message in Indian context and extract every transaction it mentions.
         Message: "${userMessage}"
         
-        Return ONLY a valid JSON object:
+        Return ONLY a valid JSON object with one entry per transaction:
         {
-            "amount": <number in rupees>,
-            "description": "<what was purchased>",
-            "category": "<one of: food, transport, shopping, entertainment, healthcare, utilities, other>",
-            "merchant": "<store name if mentioned, otherwise null>",
-            "currency": "INR"
+            "expenses": [
+                {
+                    "amount": <number in rupees, or null if no amount is given>,
+                    "direction": "<expense if money was spent, income if money was received>",
+                    "description": "<what was purchased or where the money came from>",
+                    "category": "<one of: ${lists.expense} for expenses; ${lists.income} for income; the most specific that fits; null if you cannot tell>",
+                    "merchant": "<store name if mentioned, otherwise null>",
+                    "currency": "INR"
+                }
+            ]
         }
         
         Examples:
-        - "Spent 500 on lunch" -> amount: 500
-        - "Paid ₹250 for groceries" -> amount: 250
-        - "Bus fare 30 rupees" -> amount: 30
+        - "Spent 500 on lunch" -> one entry: amount: 500, direction: expense
+        - "Paid ₹250 for groceries" -> one entry: amount: 250, direction: expense
+        - "Bus fare 30 rupees" -> one entry: amount: 30, direction: expense
+        - "Spent two hundred on auto" -> one entry: amount: 200, direction: expense
+        - "Received salary 60000" -> one entry: amount: 60000, direction: income, category: salary
+        - "Got 500 refund" -> one entry: amount: 500, direction: income, category: income
+        - "Paid for lunch at Subway" -> one entry: amount: null, direction: expense, category: food
+        - "Spent 200 on lunch, 80 on auto and 450 on groceries" -> three entries: 200 lunch (food), 80 auto (transport), 450 groceries (food)
         `;
 
-            let completion;
-            let retries = 3;
-
-            for (let i = 0; i < retries; i++) {
-                try {
-                    completion = await this.groq.chat.completions.create({
-                        messages: [{ role: "user", content: prompt }],
-                        model: "llama-3.1-8b-instant",
-                        temperature: 0.1,
-                        max_tokens: 200
-                    });
-                    break;
-                } catch (e) {
-                    if (i === retries - 1) throw e;
-                    logger.warn(`Groq parsing retry ${i + 1}/${retries} failed: ${e.message}`);
-                    await new Promise(r => setTimeout(r, 1000 * Math.pow(2, i)));
-                }
-            }
-
-            const response = completion.choices[0].message.content.trim();
-            const cleanResponse = response.replace(/``````/g, '').trim();
-
-            const parsedData = JSON.parse(cleanResponse);
-
-            if (!parsedData.amount || isNaN(parsedData.amount) || parsedData.amount <= 0) {
-                return null;
-            }
-
-            // Ensure currency is set to INR
-            parsedData.currency = 'INR';
-            return parsedData;
+            return await llmService.complete('text', {
+                prompt,
+                temperature: 0.1,
+                maxTokens: 600,
+                parse: text => this.normalizeExpenses(parseJson(text), categories)
+            });
 
         } catch (error) {
-            logger.error('Groq API Error:', error);
+            logger.error(`Expense parsing failed: ${error.message}`);
             return null;
         }
     }
 
+    // Entries from the parsing reply, or null when there are none; a category the user doesn't have is dropped
+    normalizeExpenses(parsed, categories = Validator.VALID_CATEGORIES) {
+        // Accept a bare array or a single object as well
+        const entries = Array.isArray(parsed) ? parsed : (Array.isArray(parsed.expenses) ? parsed.expenses : [parsed]);
+        const expenses = entries.filter(entry => entry && typeof entry === 'object').map(entry => ({
+            ...entry,
+            // A message without an amount is still returned so the amount can be asked for
+            amount: !entry.amount || isNaN(entry.amount) || entry.amount <= 0 ? null : parseFloat(entry.amount),
+            category: typeof entry.category === 'string' ? categoryService.resolve(categories, entry.category) : null,
+            currency: 'INR',
+            direction: entry.direction === 'income' ? 'income' : 'expense'
+        }));
+        return expenses.length > 0 ? expenses : null;
+    }
+
 
     async generateInsights(expenses) {
         try {
@@ -91,16 +106,16 @@ class GroqService {
             });
 
             const prompt = `
-            Analyze these recent expenses and provide 3-4 brief, actionable insights:
+            Analyze these recent expenses in Indian context and provide 3-4 brief, actionable insights:
             
-            Total expenses: $${totalAmount.toFixed(2)}
+            Total expenses: ₹${totalAmount.toFixed(2)}
             Number of transactions: ${expenseData.length}
             
             Category breakdown:
-            ${Object.entries(categoryBreakdown).map(([cat, amount]) => `${cat}: $${amount.toFixed(2)}`).join('\n')}
+            ${Object.entries(categoryBreakdown).map(([cat, amount]) => `${cat}: ₹${amount.toFixed(2)}`).join('\n')}
             
             Recent expenses:
-            ${expenseData.slice(0, 10).map(exp => `$${exp.amount} - ${exp.description} (${exp.category})`).join('\n')}
+            ${expenseData.slice(0, 10).map(exp => `₹${exp.amount} - ${exp.description} (${exp.category})`).join('\n')}
             
             Provide insights on:
             1. Spending patterns by category
@@ -114,50 +129,45 @@ class GroqService {
 
             logger.info('Generating insights for expenses:', expenses.length);
 
-            const completion = await this.groq.chat.completions.create({
-                messages: [{ role: "user", content: prompt }],
-                model: "llama-3.1-8b-instant",
-                temperature: 0.3,
-                max_tokens: 300
-            });
-
-            const insights = completion.choices[0].message.content.trim();
+            const insights = await llmService.complete('insights', { prompt, temperature: 0.3, maxTokens: 300 });
 
             logger.info('Insights generated successfully');
             return insights;
 
         } catch (error) {
-            logger.error('Groq Insights Error:', error);
+            logger.error(`Insights failed: ${error.message}`);
             return "Unable to generate insights at the moment. Please try again later.";
         }
     }
 
-    async categorizeExpense(description, merchant) {
+    // Turns a spending question into the JSON spec validated by services/queryPlanner.js.
+    // The model only fills in fields; it never writes SQL.
+    async translateQuestion(question, categories = Validator.VALID_CATEGORIES) {
         try {
             const prompt = `
-            Categorize this expense into one of these categories: food, transport, shopping, entertainment, healthcare, utilities, other
-            
-            Description: "${description}"
-            Merchant: "${merchant || 'unknown'}"
-            
-            Return only the category name, nothing else.
-            `;
-
-            const completion = await this.groq.chat.completions.create({
-                messages: [{ role: "user", content: prompt }],
-                model: "llama-3.1-8b-instant",
-                temperature: 0.1,
-                max_tokens: 10
-            });
+            Convert this question about the user's own expenses into a JSON query.
+            Question: "${question}"
+
+            Return ONLY a valid JSON object:
+            {
+                "aggregate": "<one of: sum, count, avg, avg_daily, max, min>",
+                "groupBy": "<one of: category, merchant, day, month, or null>",
+                "category": "<one of: ${categoryService.promptLists(categories).expense}, or null>",
+                "merchant": "<store/brand name mentioned, or null>",
+                "period": "<time phrase copied from the question, e.g. 'last month', 'september', 'this week', or null>"
+            }
 
-            const category = completion.choices[0].message.content.trim().toLowerCase();
-            const validCategories = ['food', 'transport', 'shopping', 'entertainment', 'healthcare', 'utilities', 'other'];
+            Examples:
+            - "how much did I spend at Swiggy last month" -> {"aggregate":"sum","groupBy":null,"category":null,"merchant":"Swiggy","period":"last month"}
+            - "what was my biggest expense this week" -> {"aggregate":"max","groupBy":null,"category":null,"merchant":null,"period":"this week"}
+            - "average daily food spend" -> {"aggregate":"avg_daily","groupBy":null,"category":"food","merchant":null,"period":null}
+            `;
 
-            return validCategories.includes(category) ? category : 'other';
+            return await llmService.complete('text', { prompt, temperature: 0, maxTokens: 150, parse: parseJson });
 
         } catch (error) {
-            logger.error('Categorization error:', error);
-            return 'other';
+            logger.error(`Question translation failed: ${error.message}`);
+            return null;
         }
     }
 }
@@ -0,0 +1,29 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+    constructor() {
+        if (!process.env.GEMINI_API_KEY) {
+            throw new Error('GEMINI_API_KEY environment variable is required for the Gemini provider');
+        }
+
+        this.name = 'gemini';
+        this.vision = true;
+        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        this.modelName = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    }
+
+    async generate({ prompt, image, temperature, maxTokens }) {
+        const model = this.genAI.getGenerativeModel({
+            model: this.modelName,
+            generationConfig: { temperature, maxOutputTokens: maxTokens }
+        });
+
+        const parts = image
+            ? [prompt, { inlineData: { data: image.buffer.toString('base64'), mimeType: image.mimeType } }]
+            : prompt;
+        const result = await model.generateContent(parts);
+        return result.response.text();
+    }
+}
+
+module.exports = GeminiProvider;
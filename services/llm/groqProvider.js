@@ -0,0 +1,27 @@
+const Groq = require('groq-sdk');
+
+// Text only: Groq's fast Llama models
+class GroqProvider {
+    constructor() {
+        if (!process.env.GROQ_API_KEY) {
+            throw new Error('GROQ_API_KEY environment variable is required for the Groq provider');
+        }
+
+        this.name = 'groq';
+        this.vision = false;
+        this.groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+        this.model = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
+    }
+
+    async generate({ prompt, temperature, maxTokens }) {
+        const completion = await this.groq.chat.completions.create({
+            messages: [{ role: 'user', content: prompt }],
+            model: this.model,
+            temperature,
+            max_tokens: maxTokens
+        });
+        return completion.choices[0].message.content;
+    }
+}
+
+module.exports = GroqProvider;
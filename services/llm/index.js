@@ -0,0 +1,134 @@
+const logger = require('../../utils/logger');
+const Helpers = require('../../utils/helpers');
+const GeminiProvider = require('./geminiProvider');
+const GroqProvider = require('./groqProvider');
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+
+/**
+ * LLM providers by name. A provider is an object with a `name`, a `vision` flag (can it read
+ * images) and an `async generate({ prompt, image, temperature, maxTokens })` method that
+ * resolves to the reply text; `image` is { buffer, mimeType } or null.
+ */
+const PROVIDERS = {
+    gemini: () => new GeminiProvider(),
+    groq: () => new GroqProvider(),
+    openai: () => new OpenAiCompatibleProvider()
+};
+
+// Whether a provider is set up, for the default chains
+const CONFIGURED = {
+    gemini: () => Boolean(process.env.GEMINI_API_KEY),
+    groq: () => Boolean(process.env.GROQ_API_KEY),
+    openai: () => Boolean(process.env.OPENAI_BASE_URL)
+};
+
+// Tasks and the providers tried for them, in order, unless the env variable lists others
+const TASKS = {
+    vision: { env: 'LLM_VISION_PROVIDERS', defaults: ['gemini', 'openai'] },
+    text: { env: 'LLM_TEXT_PROVIDERS', defaults: ['groq', 'gemini', 'openai'] },
+    insights: { env: 'LLM_INSIGHTS_PROVIDERS', defaults: ['groq', 'gemini', 'openai'] }
+};
+
+// Attempts per provider before moving on to the next one
+const MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS || '2', 10);
+const RETRY_DELAY_MS = 1000;
+
+class LlmService {
+    constructor() {
+        this.instances = {};
+        this.chains = {};
+
+        Object.entries(TASKS).forEach(([task, { env, defaults }]) => {
+            const names = process.env[env]
+                ? process.env[env].split(',').map(name => name.trim()).filter(Boolean)
+                : defaults.filter(name => CONFIGURED[name]());
+            this.setProviders(task, names);
+        });
+    }
+
+    /**
+     * Sets the providers tried for a task, in order.
+     * @param {string} task - vision, text or insights
+     * @param {Array<string|Object>} providers - Names from PROVIDERS or provider objects
+     */
+    setProviders(task, providers) {
+        if (!TASKS[task]) {
+            throw new Error(`Unknown LLM task: ${task}`);
+        }
+
+        const chain = providers
+            .map(provider => (typeof provider === 'object' ? provider : this.instance(provider)))
+            .filter(Boolean);
+
+        this.chains[task] = chain.filter(provider => {
+            if (task === 'vision' && !provider.vision) {
+                logger.warn(`LLM provider ${provider.name} can't read images, left out of the vision chain`);
+                return false;
+            }
+            return true;
+        });
+        logger.info(`🧠 LLM providers for ${task}: ${this.providerNames(task).join(' → ') || 'none'}`);
+    }
+
+    // Names of the providers tried for a task, in order
+    providerNames(task) {
+        return (this.chains[task] || []).map(provider => provider.name);
+    }
+
+    // One shared instance per provider name; null when it isn't configured
+    instance(name) {
+        if (!PROVIDERS[name]) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        if (!this.instances[name]) {
+            try {
+                this.instances[name] = PROVIDERS[name]();
+            } catch (error) {
+                logger.warn(`LLM provider ${name} is unavailable: ${error.message}`);
+                return null;
+            }
+        }
+        return this.instances[name];
+    }
+
+    /**
+     * Sends a prompt to the task's providers in order, retrying each a few times before failing
+     * over to the next. A reply that `parse` rejects counts as a failure too.
+     * @param {string} task - vision, text or insights
+     * @param {Object} request
+     * @param {string} request.prompt
+     * @param {{buffer: Buffer, mimeType: string}} [request.image]
+     * @param {number} [request.temperature]
+     * @param {number} [request.maxTokens]
+     * @param {Function} [request.parse] - (text) => value; null, undefined or a throw rejects the reply
+     * @returns {Promise<*>} the parsed reply, or the trimmed text without `parse`
+     * @throws the last error when every provider failed
+     */
+    async complete(task, { prompt, image = null, temperature = 0.1, maxTokens = 500, parse = null }) {
+        const chain = this.chains[task] || [];
+        if (chain.length === 0) {
+            throw new Error(`No LLM provider configured for ${task}`);
+        }
+
+        let lastError;
+        for (const provider of chain) {
+            for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+                try {
+                    const text = ((await provider.generate({ prompt, image, temperature, maxTokens })) || '').trim();
+                    if (!text) throw new Error('empty reply');
+
+                    const value = parse ? parse(text) : text;
+                    if (value === null || value === undefined) throw new Error('unusable reply');
+                    return value;
+                } catch (error) {
+                    lastError = error;
+                    logger.warn(`LLM ${task} via ${provider.name} failed (attempt ${attempt}/${MAX_ATTEMPTS}): ${error.message}`);
+                    if (attempt < MAX_ATTEMPTS) await Helpers.sleep(RETRY_DELAY_MS * Math.pow(2, attempt - 1));
+                }
+            }
+        }
+        throw lastError;
+    }
+}
+
+module.exports = new LlmService();
@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+// Any server speaking the OpenAI chat completions API: a local Ollama or llama.cpp server, a
+// hosted endpoint, or a test stub. Images are sent as data URLs and need OPENAI_VISION_MODEL.
+class OpenAiCompatibleProvider {
+    constructor() {
+        this.name = 'openai';
+        this.baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        this.apiKey = process.env.OPENAI_API_KEY || null;
+        this.model = process.env.OPENAI_MODEL || 'llama3.1';
+        this.visionModel = process.env.OPENAI_VISION_MODEL || null;
+        this.vision = Boolean(this.visionModel);
+        this.timeout = parseInt(process.env.OPENAI_TIMEOUT_MS || '60000', 10);
+    }
+
+    async generate({ prompt, image, temperature, maxTokens }) {
+        const content = image
+            ? [
+                { type: 'text', text: prompt },
+                { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.buffer.toString('base64')}` } }
+            ]
+            : prompt;
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: image ? this.visionModel : this.model,
+            messages: [{ role: 'user', content }],
+            temperature,
+            max_tokens: maxTokens
+        }, {
+            headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+            timeout: this.timeout
+        });
+
+        const message = response.data && response.data.choices && response.data.choices[0] && response.data.choices[0].message;
+        if (!message) throw new Error('OpenAI-compatible server returned no choices');
+        return message.content;
+    }
+}
+
+module.exports = OpenAiCompatibleProvider;
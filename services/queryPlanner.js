@@ -0,0 +1,165 @@
+const groqService = require('./groq');
+const categoryService = require('./categories');
+const logger = require('../utils/logger');
+const Validator = require('../utils/validator');
+const DateUtils = require('../utils/dates');
+const { CATEGORY_KEYWORDS, MERCHANT_KEYWORDS } = require('../config/constants');
+
+const AGGREGATES = ['sum', 'count', 'avg', 'avg_daily', 'max', 'min'];
+const GROUPS = ['category', 'merchant', 'day', 'month'];
+const DEFAULT_PERIOD = { kind: 'month', offset: 0 };
+// Longest period phrase parsePeriod reads: "between 1st of october 2025 and 15th of october 2025"
+const MAX_PERIOD_WORDS = 10;
+
+// Words that end a merchant name: "at dmart on groceries", "from amazon for gifts"
+const STOP_WORDS = new Set(['on', 'for', 'in', 'at', 'from', 'during', 'and', 'per', 'by', 'each', 'daily',
+    'spend', 'spent', 'spending', 'expense', 'expenses', 'total', 'so', 'till', 'until', 'since', 'the', 'my']);
+
+const AGGREGATE_RULES = [
+    { aggregate: 'avg_daily', regex: /\b(?:average|avg|mean)\s+(?:daily|per day|a day)\b|\bdaily average\b|\bper day\b|\ba day\b/ },
+    { aggregate: 'avg', regex: /\b(?:average|avg|mean)\b/ },
+    { aggregate: 'max', regex: /\b(?:biggest|largest|highest|most expensive|max(?:imum)?)\b/ },
+    { aggregate: 'min', regex: /\b(?:smallest|cheapest|lowest|least expensive|min(?:imum)?)\b/ },
+    { aggregate: 'count', regex: /\bhow many\b|\bhow often\b|\bcount\b|\bnumber of\b/ }
+];
+
+const GROUP_RULES = [
+    { groupBy: 'category', regex: /\b(?:by|per|each|which|what|top)\s+(?:category|categories)\b/ },
+    { groupBy: 'merchant', regex: /\b(?:by|per|each|which|what|top)\s+(?:merchants?|stores?|shops?|places?)\b|\bwhere\b/ },
+    { groupBy: 'day', regex: /\b(?:by|each)\s+day\b|\bday by day\b|\bdaily breakdown\b/ },
+    { groupBy: 'month', regex: /\b(?:by|per|each)\s+month\b|\bmonth by month\b|\bmonthly\b/ }
+];
+
+function findKeyword(text, keywords) {
+    return keywords.find(keyword => new RegExp(`\\b${keyword}\\b`).test(text));
+}
+
+function categoryFor(phrase, categories) {
+    const category = categoryService.resolve(categories, phrase);
+    if (category) return category;
+    const entry = Object.entries(CATEGORY_KEYWORDS).find(([, words]) => words.includes(phrase));
+    return entry ? entry[0] : null;
+}
+
+function titleCase(text) {
+    return text.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Turns free-form spending questions into a whitelisted query for DatabaseService.runExpenseQuery:
+ * { aggregate, groupBy, category, merchant, period }.
+ */
+class QueryPlanner {
+    /**
+     * @param {string} question
+     * @param {string[]} [categories] - The user's category names
+     */
+    async plan(question, categories = Validator.VALID_CATEGORIES) {
+        const translated = await groqService.translateQuestion(question, categories);
+        const query = this.sanitize(translated, categories);
+        if (query) return query;
+
+        logger.info('Falling back to rule-based question parsing');
+        return this.parseQuestion(question, categories);
+    }
+
+    // Keeps only known values from an LLM answer; returns null when it is unusable
+    sanitize(raw, categories = Validator.VALID_CATEGORIES) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        let period = DEFAULT_PERIOD;
+        if (raw.period) {
+            period = DateUtils.parsePeriod(String(raw.period));
+            if (!period) return null;
+        }
+
+        const category = typeof raw.category === 'string' ? categoryService.resolve(categories, raw.category) : null;
+        const merchant = typeof raw.merchant === 'string' ? Validator.sanitizeText(raw.merchant).substring(0, 100) : '';
+
+        return {
+            aggregate: AGGREGATES.includes(raw.aggregate) ? raw.aggregate : 'sum',
+            groupBy: GROUPS.includes(raw.groupBy) ? raw.groupBy : null,
+            category,
+            merchant: merchant && merchant.toLowerCase() !== 'null' ? merchant : null,
+            period
+        };
+    }
+
+    // Deterministic parser used when the LLM is unavailable or returns something unusable
+    parseQuestion(question, categories = Validator.VALID_CATEGORIES) {
+        let text = question.toLowerCase().replace(/[?!.]+\s*$/, '').replace(/\s+/g, ' ').trim();
+
+        const { period, rest } = this.extractPeriod(text);
+        text = rest;
+
+        const aggregateRule = AGGREGATE_RULES.find(rule => rule.regex.test(text));
+        const aggregate = aggregateRule ? aggregateRule.aggregate : 'sum';
+        const groupRule = GROUP_RULES.find(rule => rule.regex.test(text));
+        const groupBy = groupRule && !(groupRule.groupBy === 'day' && aggregate === 'avg_daily') ? groupRule.groupBy : null;
+
+        let category = null;
+        let merchant = null;
+
+        const words = text.split(' ');
+        words.forEach((word, i) => {
+            if (!['at', 'from', 'on'].includes(word)) return;
+
+            const phraseWords = [];
+            for (let j = i + 1; j < words.length && phraseWords.length < 3 && !STOP_WORDS.has(words[j]); j++) {
+                phraseWords.push(words[j]);
+            }
+            const phrase = phraseWords.join(' ');
+            if (!phrase) return;
+
+            const phraseCategory = categoryFor(phrase, categories);
+            if (word === 'on' && phraseCategory) {
+                category = category || phraseCategory;
+            } else if (!phraseCategory || MERCHANT_KEYWORDS[phrase]) {
+                merchant = merchant || titleCase(phrase);
+            }
+        });
+
+        if (!merchant) {
+            const brand = findKeyword(text, Object.keys(MERCHANT_KEYWORDS));
+            if (brand) merchant = titleCase(brand);
+        }
+        if (!category) {
+            for (const [name, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+                if (findKeyword(text, [name, ...keywords])) {
+                    category = name;
+                    break;
+                }
+            }
+        }
+
+        return { aggregate, groupBy, category, merchant, period: period || DEFAULT_PERIOD };
+    }
+
+    // Finds the longest run of words that reads as a period ("last month", "1 oct to 15 oct")
+    extractPeriod(text) {
+        const words = text.split(' ');
+
+        for (let length = Math.min(words.length, MAX_PERIOD_WORDS); length > 0; length--) {
+            for (let start = 0; start + length <= words.length; start++) {
+                const candidate = words.slice(start, start + length).join(' ');
+                // "by month" is a grouping and "may I" is a verb, not periods
+                if (['by', 'per', 'each'].includes(words[start - 1])) continue;
+                if (candidate === 'may' && words[start + 1] === 'i') continue;
+
+                const period = DateUtils.parsePeriod(candidate);
+                if (!period) continue;
+
+                const before = words.slice(0, start);
+                // Drop the preposition that introduced the period: "in september", "during last week"
+                if (['in', 'on', 'during', 'for', 'since', 'over'].includes(before[before.length - 1])) {
+                    before.pop();
+                }
+                return { period, rest: [...before, ...words.slice(start + length)].join(' ') };
+            }
+        }
+
+        return { period: null, rest: text };
+    }
+}
+
+module.exports = new QueryPlanner();
@@ -0,0 +1,121 @@
+const cron = require('node-cron');
+const databaseService = require('./database');
+const whatsappService = require('./whatsapp');
+const budgetAlertService = require('./budgetAlerts');
+const receiptStorage = require('./storage');
+const conversationState = require('./conversation');
+const logger = require('../utils/logger');
+const DateUtils = require('../utils/dates');
+
+// Checked every 15 minutes by default so each user's midnight is picked up soon after it passes
+const RECURRING_CRON = process.env.RECURRING_CRON || '*/15 * * * *';
+
+// Nightly cleanup: receipt originals past their retention period and expired conversation state.
+// RECEIPT_PURGE_CRON is its name from when it only removed receipts.
+const CLEANUP_CRON = process.env.CLEANUP_CRON || process.env.RECEIPT_PURGE_CRON || '30 3 * * *';
+
+// Upper bound on occurrences logged for one rule in a single run; the next run continues from there
+const MAX_CATCH_UP = 60;
+
+class SchedulerService {
+    constructor() {
+        this.tasks = [];
+        this.running = false;
+    }
+
+    start() {
+        if (!databaseService.pool) {
+            logger.warn('Database not configured, scheduler disabled');
+            return;
+        }
+        if (!cron.validate(RECURRING_CRON) || !cron.validate(CLEANUP_CRON)) {
+            logger.error(`Invalid cron expression: RECURRING_CRON=${RECURRING_CRON}, CLEANUP_CRON=${CLEANUP_CRON}`);
+            return;
+        }
+
+        this.tasks.push(cron.schedule(RECURRING_CRON, () => {
+            this.runRecurringExpenses().catch(error => logger.error('Recurring expenses run failed:', error));
+        }));
+
+        this.tasks.push(cron.schedule(CLEANUP_CRON, () => {
+            receiptStorage.purgeExpired().catch(error => logger.error('Receipt purge failed:', error));
+            conversationState.purgeExpired().catch(error => logger.error('Conversation state purge failed:', error));
+        }));
+
+        // Catch up on occurrences that fell due while the server was down
+        this.runRecurringExpenses().catch(error => logger.error('Recurring expenses catch-up failed:', error));
+
+        logger.info(`⏰ Scheduler started (recurring expenses: ${RECURRING_CRON}, cleanup: ${CLEANUP_CRON})`);
+    }
+
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    async runRecurringExpenses() {
+        // Overlapping runs in this process would only wait on each other; the database claim
+        // in logRecurringOccurrence is what keeps an occurrence from being logged twice
+        if (this.running) return 0;
+        this.running = true;
+
+        try {
+            // A day ahead of UTC covers every timezone; each rule is checked against its owner's today
+            const horizon = DateUtils.addDays(DateUtils.today('UTC'), 1);
+            const rules = await databaseService.getDueRecurringExpenses(horizon);
+
+            let logged = 0;
+            for (const rule of rules) {
+                try {
+                    logged += await this.processRule(rule);
+                } catch (error) {
+                    logger.error(`Recurring expense #${rule.id} failed:`, error);
+                }
+            }
+
+            if (logged > 0) logger.info(`🔁 Logged ${logged} recurring expense occurrence(s)`);
+            return logged;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async processRule(rule) {
+        const today = DateUtils.today(rule.timezone);
+        const dates = [];
+        let runDate = rule.next_run;
+
+        while (runDate <= today && dates.length < MAX_CATCH_UP) {
+            const nextRun = DateUtils.nextOccurrence(rule, runDate);
+
+            // Null when another run (the catch-up, the cron or another server) logged it first
+            const id = await databaseService.logRecurringOccurrence(rule, runDate, nextRun);
+            if (!id) break;
+
+            dates.push(runDate);
+            runDate = nextRun;
+        }
+
+        if (dates.length > 0) {
+            await this.notify(rule, dates);
+            await budgetAlertService.checkExpense(rule.user_phone, { category: rule.category, date: dates[dates.length - 1] });
+        }
+        return dates.length;
+    }
+
+    async notify(rule, dates) {
+        const when = dates.length === 1
+            ? `📅 ${DateUtils.formatDisplay(dates[0])}`
+            : `📅 ${dates.length} missed occurrences: ${dates.map(d => DateUtils.formatDisplay(d)).join(', ')}`;
+
+        try {
+            await whatsappService.sendMessage(rule.user_phone,
+                `🔁 *Recurring expense logged*\n💰 ₹${rule.amount} - ${rule.description || rule.category} (${rule.category})\n${when}`);
+        } catch (error) {
+            // WhatsApp rejects free-form messages outside the 24h window; the expense is saved regardless
+            logger.warn(`Could not notify ${rule.user_phone} about recurring expense #${rule.id}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new SchedulerService();
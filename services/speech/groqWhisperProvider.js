@@ -0,0 +1,35 @@
+const Groq = require('groq-sdk');
+
+// File extensions Whisper accepts, by the MIME types WhatsApp sends
+const EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'm4a',
+    'audio/wav': 'wav',
+    'audio/webm': 'webm'
+};
+
+class GroqWhisperProvider {
+    constructor() {
+        this.name = 'groq';
+        this.groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+        this.model = process.env.STT_MODEL || 'whisper-large-v3';
+    }
+
+    async transcribe(audioBuffer, mimeType) {
+        const extension = EXTENSIONS[mimeType] || 'ogg';
+        const file = await Groq.toFile(audioBuffer, `voice-note.${extension}`, { type: mimeType });
+
+        const transcription = await this.groq.audio.transcriptions.create({
+            file,
+            model: this.model,
+            // Steers Whisper towards digits and rupee amounts in Indian English
+            prompt: 'Spent 200 rupees on auto. Paid 1500 for groceries at DMart.',
+            temperature: 0
+        });
+        return transcription.text;
+    }
+}
+
+module.exports = GroqWhisperProvider;
@@ -0,0 +1,44 @@
+const logger = require('../../utils/logger');
+const GroqWhisperProvider = require('./groqWhisperProvider');
+const StubProvider = require('./stubProvider');
+
+/**
+ * Speech-to-text providers by name. A provider is an object with a `name` and an
+ * `async transcribe(audioBuffer, mimeType)` method that resolves to the transcript text.
+ */
+const PROVIDERS = {
+    groq: () => new GroqWhisperProvider(),
+    stub: () => new StubProvider()
+};
+
+class SpeechToTextService {
+    constructor() {
+        const name = process.env.STT_PROVIDER || (process.env.GROQ_API_KEY ? 'groq' : 'stub');
+        this.setProvider(name);
+    }
+
+    setProvider(nameOrProvider) {
+        if (typeof nameOrProvider === 'object') {
+            this.provider = nameOrProvider;
+        } else if (PROVIDERS[nameOrProvider]) {
+            this.provider = PROVIDERS[nameOrProvider]();
+        } else {
+            throw new Error(`Unknown speech-to-text provider: ${nameOrProvider}`);
+        }
+        logger.info(`🎙️ Speech-to-text provider: ${this.provider.name}`);
+    }
+
+    // Transcript of a voice note, or null when nothing usable was heard
+    async transcribe(audioBuffer, mimeType) {
+        try {
+            const text = await this.provider.transcribe(audioBuffer, mimeType);
+            const transcript = (text || '').replace(/\s+/g, ' ').trim();
+            return transcript || null;
+        } catch (error) {
+            logger.error(`Speech-to-text (${this.provider.name}) failed:`, error);
+            return null;
+        }
+    }
+}
+
+module.exports = new SpeechToTextService();
@@ -0,0 +1,18 @@
+// Offline provider for local development and tests: returns a fixed transcript instead of
+// calling a speech API. Set STT_STUB_TRANSCRIPT or call setTranscript().
+class StubProvider {
+    constructor() {
+        this.name = 'stub';
+        this.transcript = process.env.STT_STUB_TRANSCRIPT || null;
+    }
+
+    setTranscript(transcript) {
+        this.transcript = transcript;
+    }
+
+    async transcribe() {
+        return this.transcript;
+    }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const databaseService = require('./database');
+const categoryRules = require('./categoryRules');
+const logger = require('../utils/logger');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+const Validator = require('../utils/validator');
+const { BANK_PROFILES, AUTO_DETECT } = require('../config/bankProfiles');
+const { LIMITS } = require('../config/constants');
+
+// Statements often start with account details, so the header row is searched for
+const HEADER_SEARCH_ROWS = 30;
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+class StatementImporter {
+    /**
+     * Parses a statement CSV into transactions.
+     * @param {Buffer|string} content
+     * @returns {{bank: string, transactions: Object[], unreadable: number}|null} null when no
+     *   header row with a date and an amount column can be found
+     */
+    parse(content) {
+        const rows = parse(content, {
+            bom: true,
+            relax_column_count: true,
+            relax_quotes: true,
+            skip_empty_lines: true,
+            trim: true
+        });
+
+        const layout = this.findLayout(rows);
+        if (!layout) return null;
+
+        const body = rows.slice(layout.headerIndex + 1, layout.headerIndex + 1 + LIMITS.MAX_IMPORT_ROWS);
+        layout.signed = layout.columns.amount >= 0 &&
+            body.some(row => Helpers.parseStatementAmount(row[layout.columns.amount])?.value < 0);
+
+        const transactions = [];
+        let unreadable = 0;
+
+        for (const row of body) {
+            const transaction = this.readRow(row, layout);
+            if (transaction) {
+                transactions.push(transaction);
+            } else if (row.some(cell => cell)) {
+                // Opening/closing balance lines and footers land here too
+                unreadable++;
+            }
+        }
+
+        return { bank: layout.bank, transactions, unreadable };
+    }
+
+    // Finds the header row and the column index of each field
+    findLayout(rows) {
+        for (const [headerIndex, row] of rows.slice(0, HEADER_SEARCH_ROWS).entries()) {
+            const headers = row.map(normalizeHeader);
+            const indexOf = name => headers.indexOf(name);
+
+            const profile = BANK_PROFILES.find(p => p.detect.every(name => headers.includes(name)));
+            if (profile) {
+                const columns = {};
+                Object.entries(profile.columns).forEach(([field, name]) => { columns[field] = indexOf(name); });
+                return { headerIndex, bank: profile.name, columns, dateOrder: profile.dateOrder };
+            }
+
+            const columns = {};
+            Object.entries(AUTO_DETECT).forEach(([field, names]) => {
+                const name = names.find(n => headers.includes(n));
+                columns[field] = name ? indexOf(name) : -1;
+            });
+            const hasAmount = columns.amount >= 0 || columns.debit >= 0 || columns.credit >= 0;
+            if (columns.date >= 0 && hasAmount) {
+                return { headerIndex, bank: null, columns, dateOrder: 'dmy' };
+            }
+        }
+        return null;
+    }
+
+    readRow(row, { columns, dateOrder, signed }) {
+        const cell = field => (columns[field] >= 0 ? row[columns[field]] : undefined);
+
+        const date = DateUtils.parseStatementDate(cell('date'), dateOrder);
+        if (!date || !Validator.validateDate(date)) return null;
+
+        let amount;
+        let direction;
+        const debit = Helpers.parseStatementAmount(cell('debit'));
+        const credit = Helpers.parseStatementAmount(cell('credit'));
+
+        if (debit) {
+            amount = Math.abs(debit.value);
+            direction = 'expense';
+        } else if (credit) {
+            amount = Math.abs(credit.value);
+            direction = 'income';
+        } else {
+            const single = Helpers.parseStatementAmount(cell('amount'));
+            if (!single) return null;
+
+            const type = normalizeHeader(cell('type'));
+            amount = Math.abs(single.value);
+            if (/^(cr|credit)/.test(type) || single.hint === 'credit') {
+                direction = 'income';
+            } else if (/^(dr|debit)/.test(type) || single.hint === 'debit') {
+                direction = 'expense';
+            } else {
+                // Signed files put money out on the negative side; all-positive files (card statements) are spending
+                direction = signed && single.value > 0 ? 'income' : 'expense';
+            }
+        }
+
+        if (!Validator.validateAmount(amount)) return null;
+
+        const description = String(cell('description') || '').replace(/\s+/g, ' ').trim().substring(0, 200);
+        return { date, amount, direction, description };
+    }
+
+    /**
+     * Saves the transactions of a statement CSV, skipping rows imported before.
+     * @returns {Promise<Object|null>} { bank, inserted, skipped, unreadable, duplicates } or null
+     *   when the file is not a statement
+     */
+    async import(userPhone, content) {
+        const statement = this.parse(content);
+        if (!statement) return null;
+
+        const expenses = this.withImportHashes(userPhone, statement.transactions).map(t => ({
+            ...t,
+            category: t.direction === 'income'
+                ? (/salary/i.test(t.description) ? 'salary' : 'income')
+                : Helpers.guessCategory(t.description) || 'other'
+        }));
+        await categoryRules.apply(userPhone, expenses);
+
+        const inserted = await databaseService.importExpenses(userPhone, expenses);
+        const duplicates = await databaseService.findPossibleDuplicates(userPhone, inserted.map(e => e.id));
+
+        logger.info(`Imported ${inserted.length}/${expenses.length} statement rows for ${userPhone}`);
+        return {
+            bank: statement.bank,
+            inserted,
+            skipped: expenses.length - inserted.length,
+            unreadable: statement.unreadable,
+            duplicates
+        };
+    }
+
+    // Identical rows (two ₹20 teas on the same day) are told apart by how often they occur in the file
+    withImportHashes(userPhone, transactions) {
+        const seen = new Map();
+        return transactions.map(t => {
+            const key = [t.date, t.amount.toFixed(2), t.direction, t.description.toLowerCase()].join('|');
+            const occurrence = (seen.get(key) || 0) + 1;
+            seen.set(key, occurrence);
+
+            const importHash = crypto.createHash('sha256').update(`${userPhone}|${key}|${occurrence}`).digest('hex');
+            return { ...t, import_hash: importHash };
+        });
+    }
+}
+
+module.exports = new StatementImporter();
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const databaseService = require('../database');
+const logger = require('../../utils/logger');
+const LocalDiskProvider = require('./localDiskProvider');
+const S3Provider = require('./s3Provider');
+
+/**
+ * Receipt file stores by name. A provider is an object with a `name` and async
+ * `put(key, buffer, mimeType)`, `get(key)` (resolves to a Buffer) and `delete(key)` methods.
+ */
+const PROVIDERS = {
+    local: () => new LocalDiskProvider(),
+    s3: () => new S3Provider()
+};
+
+// Originals older than this are deleted; 0 keeps them forever
+const RETENTION_DAYS = parseInt(process.env.RECEIPT_RETENTION_DAYS || '365', 10);
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic',
+    'image/heif': 'heif',
+    'application/pdf': 'pdf'
+};
+
+class ReceiptStorageService {
+    constructor() {
+        this.setProvider(process.env.STORAGE_PROVIDER || 'local');
+    }
+
+    setProvider(nameOrProvider) {
+        if (typeof nameOrProvider === 'object') {
+            this.provider = nameOrProvider;
+        } else if (PROVIDERS[nameOrProvider]) {
+            this.provider = PROVIDERS[nameOrProvider]();
+        } else {
+            throw new Error(`Unknown receipt storage provider: ${nameOrProvider}`);
+        }
+        logger.info(`🗂️ Receipt storage provider: ${this.provider.name}`);
+    }
+
+    /**
+     * Stores an original receipt file. The expense may be linked later with linkReceipt when it
+     * is still awaiting confirmation; files never linked are removed by purgeExpired. Failures
+     * are logged and return null: an expense should not be lost over its image.
+     * @param {number|null} expenseId
+     * @returns {Promise<number|null>} the receipt file ID
+     */
+    async saveReceipt(userPhone, expenseId, buffer, mimeType) {
+        const extension = EXTENSIONS[mimeType] || 'bin';
+        const key = `${userPhone.replace(/\D/g, '')}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+
+        try {
+            await this.provider.put(key, buffer, mimeType);
+            return await databaseService.addReceiptFile(userPhone, expenseId, {
+                provider: this.provider.name,
+                key,
+                mimeType,
+                size: buffer.length
+            });
+        } catch (error) {
+            logger.error(`Could not store receipt for ${userPhone}:`, error);
+            return null;
+        }
+    }
+
+    async linkReceipt(fileId, expenseId) {
+        try {
+            return await databaseService.linkReceiptFile(fileId, expenseId) > 0;
+        } catch (error) {
+            logger.error(`Could not link receipt file #${fileId} to expense #${expenseId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * The stored original of an expense's receipt, or of the newest stored receipt when no
+     * expense is given.
+     * @returns {Promise<Object|null>} the receipt_files row with the expense's amount, merchant,
+     *   category and date, plus `buffer`; null when there is none or it can't be read
+     */
+    async getReceipt(userPhone, expenseId = null) {
+        const file = await databaseService.getReceiptFile(userPhone, expenseId);
+        if (!file) return null;
+
+        if (file.provider !== this.provider.name) {
+            logger.warn(`Receipt ${file.storage_key} is in ${file.provider} storage, current provider is ${this.provider.name}`);
+            return null;
+        }
+
+        try {
+            return { ...file, buffer: await this.provider.get(file.storage_key) };
+        } catch (error) {
+            logger.error(`Could not read receipt ${file.storage_key}:`, error);
+            return null;
+        }
+    }
+
+    // Deletes originals past the retention period and those without an expense
+    async purgeExpired() {
+        const files = await databaseService.getExpiredReceiptFiles(this.provider.name, RETENTION_DAYS);
+
+        let purged = 0;
+        for (const file of files) {
+            try {
+                await this.provider.delete(file.storage_key);
+                await databaseService.deleteReceiptFile(file.id);
+                purged++;
+            } catch (error) {
+                logger.error(`Could not delete receipt ${file.storage_key}:`, error);
+            }
+        }
+
+        if (purged > 0) logger.info(`🗂️ Purged ${purged} stored receipt(s)`);
+        return purged;
+    }
+}
+
+module.exports = new ReceiptStorageService();
@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keeps receipts as files under RECEIPT_STORAGE_DIR (./storage/receipts by default)
+class LocalDiskProvider {
+    constructor() {
+        this.name = 'local';
+        this.root = path.resolve(process.env.RECEIPT_STORAGE_DIR || path.join('storage', 'receipts'));
+    }
+
+    // Keys are generated by the storage service, but never let one point outside the root
+    resolve(key) {
+        const file = path.resolve(this.root, key);
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    }
+
+    async put(key, buffer) {
+        const file = this.resolve(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+    }
+
+    async get(key) {
+        return fs.readFile(this.resolve(key));
+    }
+
+    async delete(key) {
+        await fs.rm(this.resolve(key), { force: true });
+    }
+}
+
+module.exports = LocalDiskProvider;
@@ -0,0 +1,43 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Any S3-compatible store (AWS S3, Cloudflare R2, MinIO, ...). Set S3_ENDPOINT for non-AWS stores;
+// without S3_ACCESS_KEY_ID the default AWS credential chain is used.
+class S3Provider {
+    constructor() {
+        if (!process.env.S3_BUCKET) {
+            throw new Error('S3_BUCKET environment variable is required for S3 receipt storage');
+        }
+
+        this.name = 's3';
+        this.bucket = process.env.S3_BUCKET;
+        this.prefix = process.env.S3_PREFIX || 'receipts/';
+        this.client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+                : undefined
+        });
+    }
+
+    async put(key, buffer, mimeType) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + key,
+            Body: buffer,
+            ContentType: mimeType
+        }));
+    }
+
+    async get(key) {
+        const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+    }
+}
+
+module.exports = S3Provider;
@@ -1,5 +1,12 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const categoryService = require('./categories');
+const Helpers = require('../utils/helpers');
+const { DEFAULT_CATEGORIES } = require('../config/constants');
+
+function plural(count, word, pluralWord = `${word}s`) {
+    return `${count} ${count === 1 ? word : pluralWord}`;
+}
 
 class MetaWhatsAppService {
     constructor() {
@@ -102,6 +109,127 @@ class MetaWhatsAppService {
         }
     }
 
+    // Uploads a file to WhatsApp and returns its media ID, usable in document/image messages for 30 days
+    async uploadMedia(buffer, mimeType, filename) {
+        try {
+            const form = new FormData();
+            form.append('messaging_product', 'whatsapp');
+            form.append('type', mimeType);
+            form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+            const response = await axios.post(`${this.baseUrl}/media`, form, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            });
+
+            console.log(`📤 Media uploaded: ${filename} (${response.data.id})`);
+            return response.data.id;
+        } catch (error) {
+            console.error('Media Upload Error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Sends a message with up to 3 reply buttons (WhatsApp's limit). A tap comes back as an
+     * `interactive` message whose button_reply.id is the button's id.
+     * @param {string} to
+     * @param {string} body - Up to 1024 characters
+     * @param {{id: string, title: string}[]} buttons - Titles up to 20 characters
+     */
+    async sendInteractiveButtons(to, body, buttons) {
+        if (buttons.length === 0 || buttons.length > 3) {
+            throw new Error(`WhatsApp allows 1-3 reply buttons, got ${buttons.length}`);
+        }
+
+        const url = `${this.baseUrl}/messages`;
+        const payload = {
+            messaging_product: 'whatsapp',
+            recipient_type: 'individual',
+            to: to,
+            type: 'interactive',
+            interactive: {
+                type: 'button',
+                body: { text: body.substring(0, 1024) },
+                action: {
+                    buttons: buttons.map(button => ({
+                        type: 'reply',
+                        reply: { id: button.id, title: button.title.substring(0, 20) }
+                    }))
+                }
+            }
+        };
+
+        try {
+            const response = await axios.post(url, payload, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            logger.error('❌ WhatsApp Interactive Send Error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async sendImage(to, mediaId, caption = '') {
+        const url = `${this.baseUrl}/messages`;
+        const payload = {
+            messaging_product: 'whatsapp',
+            recipient_type: 'individual',
+            to: to,
+            type: 'image',
+            image: {
+                id: mediaId,
+                caption: caption
+            }
+        };
+
+        try {
+            const response = await axios.post(url, payload, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            logger.error('❌ WhatsApp Image Send Error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async sendDocument(to, mediaId, filename, caption = '') {
+        const url = `${this.baseUrl}/messages`;
+        const payload = {
+            messaging_product: 'whatsapp',
+            recipient_type: 'individual',
+            to: to,
+            type: 'document',
+            document: {
+                id: mediaId,
+                filename: filename,
+                caption: caption
+            }
+        };
+
+        try {
+            const response = await axios.post(url, payload, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            logger.error('❌ WhatsApp Document Send Error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     formatExpenseSummary(expenses) {
         if (!expenses || expenses.length === 0) {
             return "No expenses found.";
@@ -115,7 +243,9 @@ class MetaWhatsAppService {
         expenses.slice(0, 10).forEach(exp => {
             const date = new Date(exp.date).toLocaleDateString('en-IN');
             const merchant = exp.merchant ? ` at ${exp.merchant}` : '';
-            summary += `• ₹${exp.amount}${merchant} (${exp.category}) - ${date}\n`;
+            const tags = exp.tags && exp.tags.length > 0 ? ` ${Helpers.formatTags(exp.tags)}` : '';
+            // The #id is what "edit 42 ..." and "delete 42" take
+            summary += `• #${exp.id} ₹${exp.amount}${merchant} (${exp.category}) - ${date}${tags}\n`;
         });
 
         if (expenses.length > 10) {
@@ -125,31 +255,61 @@ class MetaWhatsAppService {
         return summary;
     }
 
-    formatCategorySummary(categoryTotals) {
+    formatLineItems(items) {
+        if (!items || items.length === 0) {
+            return "No items recorded.";
+        }
+
+        return items.map(item => {
+            const quantity = parseFloat(item.quantity ?? 1);
+            const qty = quantity !== 1 ? `${quantity} × ` : '';
+            const price = item.unit_price !== null && item.unit_price !== undefined && quantity !== 1 ? ` @ ₹${item.unit_price}` : '';
+            const total = item.line_total !== null && item.line_total !== undefined ? ` = ₹${item.line_total}` : '';
+            return `• ${qty}${item.name}${price}${total}`;
+        }).join('\n');
+    }
+
+    formatImportSummary(result) {
+        const expenses = result.inserted.filter(e => e.direction === 'expense');
+        const income = result.inserted.filter(e => e.direction === 'income');
+        const sum = rows => rows.reduce((total, e) => total + e.amount, 0).toFixed(2);
+
+        let summary = `📥 *Statement imported*${result.bank ? ` (${result.bank})` : ''}\n\n`;
+        summary += `✅ ${plural(result.inserted.length, 'new entry', 'new entries')}`;
+        if (result.inserted.length > 0) {
+            summary += `\n   💸 ${plural(expenses.length, 'expense')}: ₹${sum(expenses)}\n   💵 ${income.length} income: ₹${sum(income)}`;
+        }
+        if (result.skipped > 0) summary += `\n⏭️ ${result.skipped} already imported, skipped`;
+        if (result.unreadable > 0) summary += `\n🙈 ${plural(result.unreadable, 'row')} without a date or amount ignored`;
+
+        if (result.duplicates.length > 0) {
+            summary += `\n\n⚠️ *${plural(result.duplicates.length, 'possible duplicate')}* of expenses you logged yourself:\n`;
+            summary += result.duplicates.slice(0, 5).map(d =>
+                `• #${d.id} ₹${d.amount} ${d.description || ''} (${d.date}) looks like #${d.matches_id} ${d.matches_description || ''}`.replace(/\s+\(/g, ' (')
+            ).join('\n');
+            if (result.duplicates.length > 5) summary += `\n... and ${result.duplicates.length - 5} more`;
+        }
+
+        return summary;
+    }
+
+    formatCategorySummary(categoryTotals, categories = DEFAULT_CATEGORIES) {
         if (!categoryTotals || categoryTotals.length === 0) {
             return "No spending by category found.";
         }
 
         let summary = "📊 *Spending by Category:*\n\n";
         categoryTotals.forEach(cat => {
-            const emoji = this.getCategoryEmoji(cat.category);
+            const emoji = this.getCategoryEmoji(cat.category, categories);
             summary += `${emoji} ${cat.category}: ₹${cat.total.toFixed(2)} (${cat.count} items)\n`;
         });
 
         return summary;
     }
 
-    getCategoryEmoji(category) {
-        const emojis = {
-            food: '🍔',
-            transport: '🚗',
-            shopping: '🛒',
-            entertainment: '🎬',
-            healthcare: '🏥',
-            utilities: '⚡',
-            other: '📦'
-        };
-        return emojis[category] || '📦';
+    // categories is the user's list from categoryService.list(); a subcategory without its own emoji uses its parent's
+    getCategoryEmoji(category, categories = DEFAULT_CATEGORIES) {
+        return categoryService.emojiFor(categories, category);
     }
 }
 
@@ -96,7 +96,7 @@ async function testDatabase() {
         console.log('✅ Database save test successful! Expense ID:', expenseId);
         
         // Test retrieving expenses
-        const expenses = await database.getTodayExpenses('test_phone');
+        const expenses = await database.getExpensesInRange('test_phone', { start: testExpense.date, end: testExpense.date });
         console.log('✅ Database retrieve test successful! Found', expenses.length, 'expenses');
         
     } catch (error) {
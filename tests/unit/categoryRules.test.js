@@ -0,0 +1,81 @@
+// Table-driven checks for matching learned category rules against expenses. Needs no database:
+//   node tests/unit/categoryRules.test.js
+const assert = require('assert');
+const categoryRules = require('../../services/categoryRules');
+
+// As stored by categoryRules.learn and set: patterns are normalized to lowercase words
+const RULES = [
+    { kind: 'merchant', pattern: 'zepto', category: 'food' },
+    { kind: 'merchant', pattern: 'd mart', category: 'shopping' },
+    { kind: 'merchant', pattern: 'amazon', category: 'shopping' },
+    { kind: 'merchant', pattern: 'amazon fresh', category: 'food' },
+    { kind: 'keyword', pattern: 'metro', category: 'transport' },
+    { kind: 'keyword', pattern: 'gym', category: 'healthcare' },
+    { kind: 'keyword', pattern: 'gym shoes', category: 'shopping' },
+    { kind: 'keyword', pattern: 'vet', category: 'pets' },
+    { kind: 'keyword', pattern: 'pharmeasy', category: 'healthcare' }
+];
+
+// [expense, category of the matching rule, or null]
+const MATCH_CASES = [
+    // Merchant rules
+    [{ merchant: 'Zepto', description: 'snacks' }, 'food'],
+    [{ merchant: 'ZEPTO', description: '' }, 'food'],
+    [{ merchant: 'D-Mart', description: 'groceries' }, 'shopping'],
+    [{ merchant: 'DMart', description: 'groceries' }, 'shopping'],
+    [{ merchant: 'D Mart Ready', description: 'groceries' }, 'shopping'],
+
+    // The longest pattern wins
+    [{ merchant: 'Amazon', description: 'charger' }, 'shopping'],
+    [{ merchant: 'Amazon Fresh', description: 'veggies' }, 'food'],
+    [{ description: 'gym membership' }, 'healthcare'],
+    [{ description: 'new gym shoes' }, 'shopping'],
+
+    // Merchant rules beat keyword rules
+    [{ merchant: 'Zepto', description: 'metro snacks' }, 'food'],
+
+    // Keyword rules: whole words in the description or the merchant
+    [{ description: 'metro card recharge' }, 'transport'],
+    [{ description: 'Metro' }, 'transport'],
+    [{ merchant: 'Pharm Easy', description: 'medicines' }, 'healthcare'],
+    [{ description: 'vet visit', category: 'healthcare' }, 'pets'],
+
+    // Parts of words don't count
+    [{ description: 'metropolitan museum' }, null],
+    [{ description: 'velvet cushion' }, null],
+    [{ merchant: 'Zeptonow', description: 'milk' }, null],
+
+    // Income is never recategorized
+    [{ description: 'metro refund', direction: 'income' }, null],
+
+    [{ merchant: 'Uber', description: 'ride' }, null],
+    [{}, null],
+    [null, null]
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [expense, expected] of MATCH_CASES) {
+    check(`match(${JSON.stringify(expense)})`, () => {
+        const rule = categoryRules.match(expense, RULES);
+        assert.strictEqual(rule ? rule.category : null, expected, JSON.stringify(rule));
+    });
+}
+
+check('match() finds nothing without rules', () => {
+    assert.strictEqual(categoryRules.match({ merchant: 'Zepto' }, []), null);
+});
+
+console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+process.exitCode = failures === 0 ? 0 : 1;
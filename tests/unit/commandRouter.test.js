@@ -0,0 +1,69 @@
+// Table-driven checks that messages reach the right command. Needs no network or database:
+//   node tests/unit/commandRouter.test.js
+process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'test';
+
+const assert = require('assert');
+const commandRouter = require('../../commands');
+const Validator = require('../../utils/validator');
+
+const context = { categories: Validator.VALID_CATEGORIES };
+
+// [message, command name, or null when nothing matches]
+const ROUTE_CASES = [
+    // Expenses
+    ['spent 200 on lunch', 'log expense'],
+    ['spent 200 on lunch?', 'log expense'],
+    ['auto 40', 'log expense'],
+    ['got 500 refund', 'log income'],
+    ['movie tickets ₹500', 'log expense'],
+    ['petrol 2k', 'log expense'],
+    ['today lunch 200', 'log expense'],
+    ['month rent 15000', 'log expense'],
+
+    // A command keyword with a number is that command, never an expense
+    ['insights 7', 'insights'],
+    ['items 3', 'receipt items'],
+    ['budget 5000', 'budget status'],
+    ['recurring rent 15000', 'list recurring'],
+    ['mute 5', 'mute alerts'],
+    ['summary 2024', 'report'],
+    ['report 2025', 'report'],
+    ['2025 report', 'report'],
+    ['compare 2025', null],
+    ['last month 5000', null],
+
+    // Questions
+    ['how much did I spend on food?', 'question'],
+    ['what was my biggest expense this week', 'question'],
+    ['did I spend much on food last week?', 'question'],
+    ['did i spend 500 on food?', 'question'],
+    ['any big expenses this week?', 'question'],
+
+    // Other commands are not questions
+    ['budget?', 'budget status'],
+    ['categories?', 'categories'],
+    ['help', 'help']
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [message, expected] of ROUTE_CASES) {
+    check(`match("${message}")`, () => {
+        const match = commandRouter.match(message, context);
+        assert.strictEqual(match ? match.command.name : null, expected);
+    });
+}
+
+console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,66 @@
+// Table-driven checks for the repeating-schedule maths used by recurring expenses:
+//   node tests/unit/dates.test.js
+const assert = require('assert');
+const DateUtils = require('../../utils/dates');
+
+// [schedule, after, expected next occurrence]
+const NEXT_OCCURRENCE_CASES = [
+    // Daily
+    [{ frequency: 'daily' }, '2026-10-19', '2026-10-20'],
+    [{ frequency: 'daily' }, '2026-12-31', '2027-01-01'],
+    [{ frequency: 'daily' }, '2028-02-28', '2028-02-29'],
+
+    // Weekly (2026-10-19 is a Monday)
+    [{ frequency: 'weekly', day_of_week: 1 }, '2026-10-19', '2026-10-26'],
+    [{ frequency: 'weekly', day_of_week: 5 }, '2026-10-19', '2026-10-23'],
+    [{ frequency: 'weekly', day_of_week: 0 }, '2026-10-19', '2026-10-25'],
+    [{ frequency: 'weekly', day_of_week: 0 }, '2026-10-24', '2026-10-25'],
+    [{ frequency: 'weekly', day_of_week: 4 }, '2026-12-30', '2026-12-31'],
+    [{ frequency: 'weekly', day_of_week: 5 }, '2026-12-31', '2027-01-01'],
+
+    // Monthly
+    [{ frequency: 'monthly', day_of_month: 5 }, '2026-10-01', '2026-10-05'],
+    [{ frequency: 'monthly', day_of_month: 5 }, '2026-10-05', '2026-11-05'],
+    [{ frequency: 'monthly', day_of_month: 5 }, '2026-12-20', '2027-01-05'],
+
+    // Month end: the 31st is clamped to the last day, then comes back
+    [{ frequency: 'monthly', day_of_month: 31 }, '2026-01-31', '2026-02-28'],
+    [{ frequency: 'monthly', day_of_month: 31 }, '2028-01-31', '2028-02-29'],
+    [{ frequency: 'monthly', day_of_month: 31 }, '2026-02-28', '2026-03-31'],
+    [{ frequency: 'monthly', day_of_month: 31 }, '2026-03-31', '2026-04-30'],
+    [{ frequency: 'monthly', day_of_month: 30 }, '2026-02-10', '2026-02-28'],
+    [{ frequency: 'monthly', day_of_month: 29 }, '2026-02-28', '2026-03-29'],
+
+    // Yearly (month_of_year is 0-based)
+    [{ frequency: 'yearly', day_of_month: 15, month_of_year: 2 }, '2026-01-01', '2026-03-15'],
+    [{ frequency: 'yearly', day_of_month: 15, month_of_year: 2 }, '2026-03-15', '2027-03-15'],
+    [{ frequency: 'yearly', day_of_month: 1, month_of_year: 0 }, '2026-10-19', '2027-01-01'],
+    [{ frequency: 'yearly', day_of_month: 29, month_of_year: 1 }, '2027-01-10', '2027-02-28'],
+    [{ frequency: 'yearly', day_of_month: 29, month_of_year: 1 }, '2027-02-28', '2028-02-29']
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [schedule, after, expected] of NEXT_OCCURRENCE_CASES) {
+    check(`nextOccurrence(${JSON.stringify(schedule)}, "${after}")`, () => {
+        assert.strictEqual(DateUtils.nextOccurrence(schedule, after), expected);
+    });
+}
+
+check('nextOccurrence() rejects an unknown frequency', () => {
+    assert.throws(() => DateUtils.nextOccurrence({ frequency: 'hourly' }, '2026-10-19'), /Unknown frequency/);
+});
+
+console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,211 @@
+// Table-driven checks for the rule-based expense parser. Needs no network or database:
+//   node tests/unit/expenseParser.test.js
+process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'test';
+
+const assert = require('assert');
+const expenseParser = require('../../services/expenseParser');
+const groqService = require('../../services/groq');
+const Helpers = require('../../utils/helpers');
+
+// A Monday
+const TODAY = '2026-10-19';
+
+// [message, expected fields of each entry (only the listed ones are compared), confident]
+const PARSE_CASES = [
+    // Plain amounts
+    ['spent 250 on lunch', [{ amount: 250, category: 'food', description: 'lunch', direction: 'expense' }], true],
+    ['Spent 500 on lunch', [{ amount: 500, category: 'food' }], true],
+    ['auto 40', [{ amount: 40, category: 'transport', description: 'auto' }], true],
+    ['Auto 40', [{ amount: 40, category: 'transport' }], true],
+    ['40 auto', [{ amount: 40, category: 'transport' }], true],
+    ['paid 500 for groceries', [{ amount: 500, category: 'food', description: 'groceries' }], true],
+    ['bought shoes 2999', [{ amount: 2999, category: 'shopping', description: 'shoes' }], true],
+    ['movie tickets 500', [{ amount: 500, category: 'entertainment', description: 'movie tickets' }], true],
+    ['petrol 1500', [{ amount: 1500, category: 'transport' }], true],
+    ['rent 15000', [{ amount: 15000, category: 'rent' }], true],
+    ['electricity 1850', [{ amount: 1850, category: 'utilities' }], true],
+    ['medicines 320', [{ amount: 320, category: 'healthcare' }], true],
+    ['doctor fees 800', [{ amount: 800, category: 'healthcare' }], true],
+    ['metro recharge 500', [{ amount: 500 }], true],
+    ['tea 20', [{ amount: 20, category: 'food' }], true],
+    ['bread and butter 60', [{ amount: 60, category: 'food', description: 'bread and butter' }], true],
+    ['spent 12.50 on chai', [{ amount: 12.5, category: 'food' }], true],
+
+    // Currency signs and words
+    ['₹250 lunch', [{ amount: 250, category: 'food' }], true],
+    ['₹ 250 lunch', [{ amount: 250 }], true],
+    ['lunch ₹250', [{ amount: 250 }], true],
+    ['Rs 40 auto', [{ amount: 40, category: 'transport' }], true],
+    ['rs.40 auto', [{ amount: 40 }], true],
+    ['Rs. 40 auto', [{ amount: 40 }], true],
+    ['auto rs40', [{ amount: 40 }], true],
+    ['INR 99 netflix', [{ amount: 99, category: 'entertainment' }], true],
+    ['cab 300 rupees', [{ amount: 300, category: 'transport', description: 'cab' }], true],
+    ['cab 300 rs', [{ amount: 300 }], true],
+    ['lunch 250/-', [{ amount: 250, description: 'lunch' }], true],
+    ['Paid ₹1,200 for groceries', [{ amount: 1200, category: 'food' }], true],
+    ['rent 1,50,000', [{ amount: 150000 }], true],
+
+    // Thousands and lakhs
+    ['petrol 2k', [{ amount: 2000, category: 'transport' }], true],
+    ['spent 1.5k on shoes', [{ amount: 1500, category: 'shopping' }], true],
+    ['flight 12K', [{ amount: 12000, category: 'transport' }], true],
+    ['rent 25 thousand', [{ amount: 25000, category: 'rent' }], true],
+    ['received salary 1.2 lakh', [{ amount: 120000, direction: 'income', category: 'salary' }], true],
+    ['got bonus 2 lakhs', [{ amount: 200000, direction: 'income' }], true],
+    ['received 1 lac refund', [{ amount: 100000, direction: 'income', category: 'income' }], true],
+    ['salary 2L', [{ amount: 200000, direction: 'income', category: 'salary' }], true],
+
+    // Merchants
+    ['uber 250', [{ amount: 250, category: 'transport', merchant: 'Uber' }], true],
+    ['swiggy 450', [{ amount: 450, category: 'food', merchant: 'Swiggy' }], true],
+    ['Zomato order 380', [{ amount: 380, category: 'food', merchant: 'Zomato' }], true],
+    ['rs.99 netflix', [{ amount: 99, category: 'entertainment', merchant: 'Netflix' }], true],
+    ['amazon 1299', [{ amount: 1299, category: 'shopping', merchant: 'Amazon' }], true],
+    ['jio recharge 239', [{ amount: 239, category: 'utilities', merchant: 'Jio' }], true],
+    ['Paid ₹1,200 for groceries at DMart', [{ amount: 1200, category: 'food', merchant: 'DMart', description: 'groceries' }], true],
+    ['coffee at Starbucks 350', [{ amount: 350, category: 'food', merchant: 'Starbucks', description: 'coffee' }], true],
+    ['lunch at subway 250', [{ amount: 250, merchant: 'Subway', description: 'lunch' }], true],
+    ['shoes from myntra 1800', [{ amount: 1800, category: 'shopping', merchant: 'Myntra' }], true],
+    ['dinner at the leela 4500', [{ amount: 4500, category: 'food', merchant: 'The Leela' }], true],
+
+    // Income
+    ['received salary 60000', [{ amount: 60000, direction: 'income', category: 'salary' }], true],
+    ['got 500 refund', [{ amount: 500, direction: 'income', category: 'income' }], true],
+    ['cashback 50', [{ amount: 50, direction: 'income', category: 'income' }], true],
+    ['credited 2000 from dad', [{ amount: 2000, direction: 'income', merchant: 'Dad' }], true],
+    ['stipend 15000', [{ amount: 15000, direction: 'income', category: 'salary' }], true],
+
+    // Relative dates
+    ['spent 250 on lunch yesterday', [{ amount: 250, date: '2026-10-18' }], true],
+    ['yesterday auto 40', [{ amount: 40, date: '2026-10-18' }], true],
+    ['lunch 250 today', [{ amount: 250, date: '2026-10-19' }], true],
+    ['dinner 600 day before yesterday', [{ amount: 600, date: '2026-10-17' }], true],
+    ['cab 300 rupees 3 days ago', [{ amount: 300, date: '2026-10-16' }], true],
+    ['movie 400 last friday', [{ amount: 400, date: '2026-10-16' }], true],
+    ['groceries 900 on saturday', [{ amount: 900, date: '2026-10-17' }], true],
+    ['gym 500 last monday', [{ amount: 500, date: '2026-10-12' }], false],
+    ['lunch 200 on monday', [{ amount: 200, date: '2026-10-19' }], true],
+    ['rent 15000 on 1st oct', [{ amount: 15000, category: 'rent', date: '2026-10-01' }], true],
+    ['rent 15000 on oct 1', [{ amount: 15000, date: '2026-10-01' }], true],
+    ['rent 15000 on oct 1, 2025', [{ amount: 15000, date: '2025-10-01' }], true],
+    ['jeans 1999 on 12/10', [{ amount: 1999, category: 'shopping', date: '2026-10-12' }], true],
+    ['shoes 2500 on 25 dec', [{ amount: 2500, date: '2025-12-25' }], true],
+    ['shoes 2500 on 3 march 2026', [{ amount: 2500, date: '2026-03-03' }], true],
+
+    // Several expenses in one message
+    ['spent 200 on lunch, 80 on auto and 450 on groceries', [
+        { amount: 200, category: 'food', description: 'lunch' },
+        { amount: 80, category: 'transport', description: 'auto' },
+        { amount: 450, category: 'food', description: 'groceries' }
+    ], true],
+    ['lunch 200, auto 80', [{ amount: 200 }, { amount: 80 }], true],
+    ['lunch 200,auto 80', [{ amount: 200 }, { amount: 80 }], true],
+    ['tea 20; snacks 40', [{ amount: 20 }, { amount: 40 }], true],
+    ['auto 40 plus metro 30', [{ amount: 40 }, { amount: 30 }], true],
+    ['yesterday lunch 200 and cab 150', [{ amount: 200, date: '2026-10-18' }, { amount: 150, date: '2026-10-18' }], true],
+    ['Paid ₹1,200 for groceries and 300 for milk', [{ amount: 1200 }, { amount: 300 }], true],
+
+    // Not sure: Groq is asked first
+    ['2 coffees 150', [{ amount: 150, category: 'food' }], false],
+    ['paid 500 to ramesh', [{ amount: 500, category: null, merchant: 'Ramesh' }], false],
+    ['paid for lunch at subway', [{ amount: null, category: 'food', merchant: 'Subway' }], false],
+    ['spent 300 on stuff', [{ amount: 300, category: null }], false],
+    ['spent two hundred on auto', [{ amount: null, category: 'transport' }], false],
+    ['5 kg rice 300', [{ amount: 300 }], false],
+    ['lunch 200 and 150', [{ amount: 200 }, { amount: 150, category: null }], false],
+    ['spent 200 on lunch, on auto', [{ amount: 200 }], false],
+    ['hello', [], false],
+    ['', [], false]
+];
+
+// [text, amounts found]
+const AMOUNT_CASES = [
+    ['₹1,250', [1250]],
+    ['rs.250 lunch', [250]],
+    ['Rs 40', [40]],
+    ['INR 99', [99]],
+    ['1.5k', [1500]],
+    ['2 lakh', [200000]],
+    ['2L', [200000]],
+    ['3 crore', [30000000]],
+    ['300 rupees', [300]],
+    ['250/-', [250]],
+    ['1,00,000', [100000]],
+    ['2 x 40', [2, 40]],
+    ['5kg rice 300', [5, 300]],
+    ['v2 450', [450]],
+    ['2 kids 300', [2, 300]],
+    ['no numbers here', []]
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [text, expected] of AMOUNT_CASES) {
+    check(`findAmounts("${text}")`, () => {
+        assert.deepStrictEqual(Helpers.findAmounts(text).map(amount => amount.value), expected);
+    });
+}
+
+for (const [message, expected, confident] of PARSE_CASES) {
+    check(`parseLocal("${message}")`, () => {
+        const result = expenseParser.parseLocal(message, TODAY);
+        assert.strictEqual(result.expenses.length, expected.length, `expected ${expected.length} entries, got ${JSON.stringify(result.expenses)}`);
+        expected.forEach((fields, i) => {
+            for (const [key, value] of Object.entries(fields)) {
+                assert.strictEqual(result.expenses[i][key], value, `entry ${i + 1} ${key}: ${JSON.stringify(result.expenses[i])}`);
+            }
+        });
+        assert.strictEqual(result.confident, confident, `confident should be ${confident}`);
+    });
+}
+
+async function checkFallback() {
+    const original = groqService.parseTextExpenses;
+    let groqCalls = 0;
+    try {
+        // Confident messages never reach Groq
+        groqService.parseTextExpenses = async () => { groqCalls++; return null; };
+        const confident = await expenseParser.parse('auto 40', { today: TODAY });
+        check('parse() skips Groq when the rules are confident', () => {
+            assert.strictEqual(groqCalls, 0);
+            assert.strictEqual(confident[0].amount, 40);
+        });
+
+        // Groq down: the rule-based reading is used
+        const fallback = await expenseParser.parse('2 coffees 150', { today: TODAY });
+        check('parse() falls back to the rules when Groq fails', () => {
+            assert.strictEqual(groqCalls, 1);
+            assert.strictEqual(fallback[0].amount, 150);
+        });
+
+        const nothing = await expenseParser.parse('hello', { today: TODAY });
+        check('parse() returns null when neither parser understands', () => assert.strictEqual(nothing, null));
+
+        // Groq answers: its reading wins, with the date the rules found
+        groqService.parseTextExpenses = async () => [{ amount: 300, category: 'food', description: 'coffees', direction: 'expense' }];
+        const llm = await expenseParser.parse('2 coffees 300 yesterday', { today: TODAY });
+        check('parse() prefers Groq when the rules are unsure and keeps their date', () => {
+            assert.strictEqual(llm[0].amount, 300);
+            assert.strictEqual(llm[0].date, '2026-10-18');
+        });
+    } finally {
+        groqService.parseTextExpenses = original;
+    }
+}
+
+checkFallback().then(() => {
+    console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+});
@@ -0,0 +1,54 @@
+// Table-driven checks for how receipt line items from the model are normalized. Needs no network:
+//   node tests/unit/gemini.test.js
+process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'test';
+
+const assert = require('assert');
+const geminiService = require('../../services/gemini');
+
+// [model items, expected { name, quantity, unit_price, line_total } list]
+const LINE_ITEM_CASES = [
+    [[{ name: 'Milk', quantity: 2, unitPrice: 25 }], [{ name: 'Milk', quantity: 2, unit_price: 25, line_total: 50 }]],
+    [[{ name: 'Bread', total: 40 }], [{ name: 'Bread', quantity: 1, unit_price: 40, line_total: 40 }]],
+    [[{ name: ' Eggs ', quantity: '3', line_total: '90' }], [{ name: 'Eggs', quantity: 3, unit_price: 30, line_total: 90 }]],
+    [[{ name: 'Rice', quantity: 3, price: 33.33 }], [{ name: 'Rice', quantity: 3, unit_price: 33.33, line_total: 99.99 }]],
+    [[{ name: 'Chips', quantity: 3, amount: 100 }], [{ name: 'Chips', quantity: 3, unit_price: 33.33, line_total: 100 }]],
+    [[{ name: 'Soap', unit_price: 30, line_total: 55 }], [{ name: 'Soap', quantity: 1, unit_price: 30, line_total: 55 }]],
+
+    // Unusable numbers are dropped, not guessed
+    [[{ name: 'Tea', price: 'abc' }], [{ name: 'Tea', quantity: 1, unit_price: null, line_total: null }]],
+    [[{ name: 'Free gift', quantity: 0, total: 10 }], [{ name: 'Free gift', quantity: 0, unit_price: null, line_total: 10 }]],
+
+    // Older prompt versions returned plain names
+    [['Sugar', 'Salt'], [
+        { name: 'Sugar', quantity: 1, unit_price: null, line_total: null },
+        { name: 'Salt', quantity: 1, unit_price: null, line_total: null }
+    ]],
+
+    // Items without a name are left out
+    [[{ name: '' }, { quantity: 2, total: 10 }, { name: 'Jam', total: 120 }], [{ name: 'Jam', quantity: 1, unit_price: 120, line_total: 120 }]],
+    [[], []],
+    [null, []],
+    ['Milk', []]
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [items, expected] of LINE_ITEM_CASES) {
+    check(`normalizeLineItems(${JSON.stringify(items)})`, () => {
+        assert.deepStrictEqual(geminiService.normalizeLineItems(items), expected);
+    });
+}
+
+console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,97 @@
+// Table-driven checks for the offline question parser (used when the LLM is unavailable):
+//   node tests/unit/queryPlanner.test.js
+process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'test';
+
+const assert = require('assert');
+const queryPlanner = require('../../services/queryPlanner');
+const Validator = require('../../utils/validator');
+
+const CUSTOM_CATEGORIES = [...Validator.VALID_CATEGORIES, 'pets', 'food > dining out'];
+
+// [question, expected fields of the query (only the listed ones are compared), categories]
+const QUESTION_CASES = [
+    // Aggregates
+    ['how much did I spend today', { aggregate: 'sum', groupBy: null, period: { kind: 'day', offset: 0 } }],
+    ['what was my biggest expense this week', { aggregate: 'max', period: { kind: 'week', offset: 0 } }],
+    ['smallest expense yesterday', { aggregate: 'min', period: { kind: 'day', offset: -1 } }],
+    ['average expense last month', { aggregate: 'avg', period: { kind: 'month', offset: -1 } }],
+    ['average daily food spend', { aggregate: 'avg_daily', category: 'food', period: { kind: 'month', offset: 0 } }],
+    ['how many times did I take an uber in september', { aggregate: 'count', merchant: 'Uber', period: { kind: 'named-month', month: 8, year: null } }],
+
+    // Grouping
+    ['spending by category last 3 months', { groupBy: 'category', period: { kind: 'rolling', unit: 'month', count: 3 } }],
+    ['where did I spend the most this year', { groupBy: 'merchant', period: { kind: 'year', offset: 0 } }],
+    ['monthly spending on transport this year', { groupBy: 'month', category: 'transport' }],
+    ['spending per month', { groupBy: 'month', period: { kind: 'month', offset: 0 } }],
+    ['food spend day by day this week', { groupBy: 'day', category: 'food' }],
+
+    // Categories and merchants
+    ['how much did I spend at Swiggy last month?', { merchant: 'Swiggy', category: null, period: { kind: 'month', offset: -1 } }],
+    ['total spent on groceries at dmart in 2025', { category: 'food', merchant: 'Dmart', period: { kind: 'year', year: 2025 } }],
+    ['how much on movies', { category: 'entertainment' }],
+    ['how much on pets this month', { category: 'pets' }, CUSTOM_CATEGORIES],
+    ['how much on dining out', { category: 'food > dining out' }, CUSTOM_CATEGORIES],
+    ['did i spend much on food last week?', { category: 'food', period: { kind: 'week', offset: -1 } }],
+
+    // Date ranges
+    ['how much on food from 1 oct to 15 oct', {
+        category: 'food',
+        period: { kind: 'range', from: { day: 1, month: 9, year: null }, to: { day: 15, month: 9, year: null } }
+    }],
+    ['what did I spend between 1st of october 2025 and 15th of october 2025', {
+        period: { kind: 'range', from: { day: 1, month: 9, year: 2025 }, to: { day: 15, month: 9, year: 2025 } }
+    }],
+
+    // No period means this month, and "may I" is not the month
+    ['how much may I spend', { period: { kind: 'month', offset: 0 } }]
+];
+
+// [text, expected period, expected rest]
+const PERIOD_CASES = [
+    ['how much last month', { kind: 'month', offset: -1 }, 'how much'],
+    ['spent in september at dmart', { kind: 'named-month', month: 8, year: null }, 'spent at dmart'],
+    ['by month this year', { kind: 'year', offset: 0 }, 'by month'],
+    ['from 1 oct to 15 oct on food', { kind: 'range', from: { day: 1, month: 9, year: null }, to: { day: 15, month: 9, year: null } }, 'on food'],
+    ['spent during last week', { kind: 'week', offset: -1 }, 'spent'],
+    ['total 2025', { kind: 'year', year: 2025 }, 'total'],
+    ['how much may i spend', null, 'how much may i spend'],
+    ['nothing here', null, 'nothing here']
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [question, expected, categories] of QUESTION_CASES) {
+    check(`parseQuestion("${question}")`, () => {
+        const query = queryPlanner.parseQuestion(question, categories);
+        for (const [key, value] of Object.entries(expected)) {
+            assert.deepStrictEqual(query[key], value, `${key}: ${JSON.stringify(query)}`);
+        }
+    });
+}
+
+for (const [text, period, rest] of PERIOD_CASES) {
+    check(`extractPeriod("${text}")`, () => {
+        assert.deepStrictEqual(queryPlanner.extractPeriod(text), { period, rest });
+    });
+}
+
+check('extractPeriod() stays fast on long messages', () => {
+    const text = `${'so what did i spend '.repeat(400)}last month`;
+    const started = Date.now();
+    assert.deepStrictEqual(queryPlanner.extractPeriod(text).period, { kind: 'month', offset: -1 });
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+});
+
+console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+process.exitCode = failures === 0 ? 0 : 1;
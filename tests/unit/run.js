@@ -0,0 +1,15 @@
+// Runs every *.test.js in this folder, one process each, and fails if any of them does:
+//   npm run test:unit
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort();
+const failed = files.filter(file => {
+    console.log(`\n▶ ${file}`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    return result.status !== 0;
+});
+
+console.log(`\n${failed.length === 0 ? '✅' : '❌'} ${files.length - failed.length}/${files.length} test files passed`);
+process.exitCode = failed.length === 0 ? 0 : 1;
@@ -0,0 +1,75 @@
+// Checks for the speech-to-text service, driven by the offline stub provider:
+//   node tests/unit/speech.test.js
+process.env.STT_PROVIDER = 'stub';
+
+const assert = require('assert');
+const speechService = require('../../services/speech');
+const StubProvider = require('../../services/speech/stubProvider');
+
+const AUDIO = Buffer.from('not really ogg');
+
+// [stub transcript, expected result of transcribe()]
+const TRANSCRIPT_CASES = [
+    ['Spent 200 on auto', 'Spent 200 on auto'],
+    ['  spent 200\non   auto  ', 'spent 200 on auto'],
+    ['', null],
+    ['   ', null],
+    [null, null]
+];
+
+let failures = 0;
+let passed = 0;
+
+async function check(name, fn) {
+    try {
+        await fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+async function run() {
+    await check('STT_PROVIDER=stub selects the stub provider', () => {
+        assert.strictEqual(speechService.provider.name, 'stub');
+    });
+
+    const stub = new StubProvider();
+    speechService.setProvider(stub);
+
+    for (const [transcript, expected] of TRANSCRIPT_CASES) {
+        await check(`transcribe() with the stub saying ${JSON.stringify(transcript)}`, async () => {
+            stub.setTranscript(transcript);
+            assert.strictEqual(await speechService.transcribe(AUDIO, 'audio/ogg'), expected);
+        });
+    }
+
+    await check('transcribe() passes the audio and mime type to the provider', async () => {
+        let received;
+        speechService.setProvider({ name: 'recording', transcribe: async (...args) => { received = args; return 'ok'; } });
+        await speechService.transcribe(AUDIO, 'audio/mpeg');
+        assert.deepStrictEqual(received, [AUDIO, 'audio/mpeg']);
+    });
+
+    await check('transcribe() returns null when the provider fails', async () => {
+        speechService.setProvider({ name: 'broken', transcribe: async () => { throw new Error('quota exceeded'); } });
+        assert.strictEqual(await speechService.transcribe(AUDIO, 'audio/ogg'), null);
+    });
+
+    await check('setProvider() rejects an unknown provider name', () => {
+        assert.throws(() => speechService.setProvider('nope'), /Unknown speech-to-text provider: nope/);
+    });
+
+    await check('STT_STUB_TRANSCRIPT sets the stub transcript', async () => {
+        process.env.STT_STUB_TRANSCRIPT = 'auto 40';
+        speechService.setProvider('stub');
+        delete process.env.STT_STUB_TRANSCRIPT;
+        assert.strictEqual(await speechService.transcribe(AUDIO, 'audio/ogg'), 'auto 40');
+    });
+}
+
+run().then(() => {
+    console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+});
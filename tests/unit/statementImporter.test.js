@@ -0,0 +1,203 @@
+// Table-driven checks for reading bank statement CSVs. Needs no network or database:
+//   node tests/unit/statementImporter.test.js
+const assert = require('assert');
+const statementImporter = require('../../services/statementImporter');
+const DateUtils = require('../../utils/dates');
+const Helpers = require('../../utils/helpers');
+
+// [cell, expected { value, hint } or null]
+const AMOUNT_CASES = [
+    ['1,234.50', { value: 1234.5, hint: null }],
+    ['1,00,000.00', { value: 100000, hint: null }],
+    ['₹ 1,234.50 Dr', { value: 1234.5, hint: 'debit' }],
+    ['500 Cr', { value: 500, hint: 'credit' }],
+    ['500 CR.', { value: 500, hint: 'credit' }],
+    ['INR 99', { value: 99, hint: null }],
+    ['Rs. 1,234.50', { value: 1234.5, hint: null }],
+    ['Rs.500', { value: 500, hint: null }],
+    ['rs 250.00 Dr', { value: 250, hint: 'debit' }],
+    ['(250.00)', { value: -250, hint: null }],
+    ['(₹ 250.00)', { value: -250, hint: null }],
+    ['-45.5', { value: -45.5, hint: null }],
+    ['-Rs. 45.50', { value: -45.5, hint: null }],
+    ['45.50-', { value: -45.5, hint: null }],
+
+    // A hyphen inside the cell is not a minus sign
+    ['1,200.00 (ref 12-34)', { value: 1200, hint: null }],
+
+    // Blank and zero cells: the other column of a debit/credit pair
+    ['0.00', null],
+    ['', null],
+    ['  ', null],
+    ['-', null],
+    ['abc', null],
+    [null, null],
+    [undefined, null]
+];
+
+// [cell, date order, expected 'YYYY-MM-DD' or null]
+const DATE_CASES = [
+    ['05/10/2025', 'dmy', '2025-10-05'],
+    ['05-10-25', 'dmy', '2025-10-05'],
+    ['05.10.2025', 'dmy', '2025-10-05'],
+    ['10/05/2025', 'mdy', '2025-10-05'],
+    ['05 Oct 2025', 'dmy', '2025-10-05'],
+    ['05-Oct-25', 'dmy', '2025-10-05'],
+    ['5 September, 2025', 'dmy', '2025-09-05'],
+    ['2025-10-05', 'dmy', '2025-10-05'],
+    ['2025/1/9', 'mdy', '2025-01-09'],
+    ['05/10/2025 14:32:10', 'dmy', '2025-10-05'],
+    ['29/02/2024', 'dmy', '2024-02-29'],
+
+    // Not real dates
+    ['31/02/2025', 'dmy', null],
+    ['13/13/2025', 'dmy', null],
+    ['Oct 5 2025', 'dmy', null],
+    ['Opening Balance', 'dmy', null],
+    ['', 'dmy', null]
+];
+
+// [rows, expected { headerIndex, bank, dateOrder } plus the listed columns, or null]
+const LAYOUT_CASES = [
+    [[
+        ['Date', 'Narration', 'Chq./Ref.No.', 'Value Dt', 'Withdrawal Amt.', 'Deposit Amt.', 'Closing Balance']
+    ], { headerIndex: 0, bank: 'HDFC Bank', dateOrder: 'dmy', columns: { date: 0, description: 1, debit: 4, credit: 5 } }],
+    [[
+        ['Account Name', 'A Person'],
+        ['Account Number', 'XXXX1234'],
+        [],
+        ['Txn Date', 'Value Date', 'Description', 'Ref No./Cheque No.', 'Debit', 'Credit', 'Balance']
+    ], { headerIndex: 3, bank: 'SBI', columns: { date: 0, description: 2, debit: 4, credit: 5 } }],
+    [[
+        ['Tran Date', 'CHQNO', 'PARTICULARS', 'DR', 'CR', 'BAL']
+    ], { headerIndex: 0, bank: 'Axis Bank', columns: { date: 0, description: 2, debit: 3, credit: 4 } }],
+    [[
+        ['Date', 'Transaction Description', 'Amount', 'Debit / Credit']
+    ], { headerIndex: 0, bank: 'HDFC Credit Card', columns: { date: 0, description: 1, amount: 2, type: 3 } }],
+
+    // Unknown banks fall back to common header names
+    [[
+        ['Posting Date', 'Details', 'Amount (INR)']
+    ], { headerIndex: 0, bank: null, dateOrder: 'dmy', columns: { date: 0, description: 1, amount: 2, debit: -1, credit: -1 } }],
+    [[
+        ['  Transaction   Date ', 'Remarks', 'Withdrawal', 'Deposit']
+    ], { headerIndex: 0, bank: null, columns: { date: 0, description: 1, debit: 2, credit: 3 } }],
+
+    // No date column, or no amount column
+    [[['Narration', 'Amount']], null],
+    [[['Date', 'Narration']], null],
+    [[], null]
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [text, expected] of AMOUNT_CASES) {
+    check(`parseStatementAmount(${JSON.stringify(text)})`, () => {
+        assert.deepStrictEqual(Helpers.parseStatementAmount(text), expected);
+    });
+}
+
+for (const [text, order, expected] of DATE_CASES) {
+    check(`parseStatementDate("${text}", "${order}")`, () => {
+        assert.strictEqual(DateUtils.parseStatementDate(text, order), expected);
+    });
+}
+
+for (const [rows, expected] of LAYOUT_CASES) {
+    check(`findLayout(${JSON.stringify(rows[rows.length - 1] || [])})`, () => {
+        const layout = statementImporter.findLayout(rows);
+        if (expected === null) {
+            assert.strictEqual(layout, null);
+            return;
+        }
+        const { columns, ...fields } = expected;
+        for (const [key, value] of Object.entries(fields)) {
+            assert.strictEqual(layout[key], value, `${key}: ${JSON.stringify(layout)}`);
+        }
+        for (const [field, index] of Object.entries(columns)) {
+            assert.strictEqual(layout.columns[field], index, `column ${field}: ${JSON.stringify(layout.columns)}`);
+        }
+    });
+}
+
+// Import hashes: re-importing the same file skips every row, while identical rows within it are kept
+const TEA = { date: '2025-10-05', amount: 20, direction: 'expense', description: 'UPI-TEA STALL' };
+const ROWS = [TEA, { ...TEA }, { ...TEA, amount: 25 }];
+const hashes = (userPhone, rows) => statementImporter.withImportHashes(userPhone, rows).map(row => row.import_hash);
+
+check('withImportHashes() tells identical rows in one file apart', () => {
+    assert.strictEqual(new Set(hashes('u1', ROWS)).size, 3);
+});
+
+check('withImportHashes() gives the same hashes when a file is imported again', () => {
+    assert.deepStrictEqual(hashes('u1', ROWS), hashes('u1', ROWS.map(row => ({ ...row }))));
+});
+
+check('withImportHashes() matches rows in an overlapping statement', () => {
+    const [first] = hashes('u1', [TEA]);
+    assert.strictEqual(first, hashes('u1', ROWS)[0]);
+    assert.ok(!hashes('u1', [TEA]).includes(hashes('u1', ROWS)[1]));
+});
+
+check('withImportHashes() ignores description case', () => {
+    assert.deepStrictEqual(hashes('u1', [TEA]), hashes('u1', [{ ...TEA, description: 'upi-tea stall' }]));
+});
+
+check('withImportHashes() differs per user and per direction', () => {
+    assert.notStrictEqual(hashes('u1', [TEA])[0], hashes('u2', [TEA])[0]);
+    assert.notStrictEqual(hashes('u1', [TEA])[0], hashes('u1', [{ ...TEA, direction: 'income' }])[0]);
+});
+
+check('withImportHashes() keeps the transaction fields', () => {
+    const [row] = statementImporter.withImportHashes('u1', [TEA]);
+    assert.deepStrictEqual({ ...row, import_hash: undefined }, { ...TEA, import_hash: undefined });
+    assert.match(row.import_hash, /^[0-9a-f]{64}$/);
+});
+
+// A whole statement, end to end through parse()
+check('parse() reads an HDFC statement and skips the balance lines', () => {
+    const csv = [
+        'HDFC BANK Ltd.,,,,,,',
+        'Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+        '01/10/25,Opening Balance,,,,,"10,000.00"',
+        '02/10/25,UPI-SWIGGY-ORDER,123,02/10/25,450.00,,"9,550.00"',
+        '03/10/25,NEFT-SALARY ACME,456,03/10/25,,"60,000.00","69,550.00"'
+    ].join('\n');
+    const statement = statementImporter.parse(csv);
+    assert.strictEqual(statement.bank, 'HDFC Bank');
+    assert.deepStrictEqual(statement.transactions, [
+        { date: '2025-10-02', amount: 450, direction: 'expense', description: 'UPI-SWIGGY-ORDER' },
+        { date: '2025-10-03', amount: 60000, direction: 'income', description: 'NEFT-SALARY ACME' }
+    ]);
+    assert.strictEqual(statement.unreadable, 1);
+});
+
+check('parse() reads signs in a single amount column', () => {
+    const csv = 'Date,Description,Amount\n05/10/2025,Coffee,-120.00\n06/10/2025,Refund,300.00\n';
+    const statement = statementImporter.parse(csv);
+    assert.deepStrictEqual(statement.transactions.map(t => [t.amount, t.direction]), [[120, 'expense'], [300, 'income']]);
+});
+
+check('parse() reads amounts written with a "Rs." prefix', () => {
+    const csv = 'Date,Description,Amount\n05/10/2025,Swiggy,Rs. 250.00\n06/10/2025,Rent,"Rs. 1,234.50"\n';
+    const statement = statementImporter.parse(csv);
+    assert.deepStrictEqual(statement.transactions.map(t => t.amount), [250, 1234.5]);
+});
+
+check('parse() returns null for a CSV that is not a statement', () => {
+    assert.strictEqual(statementImporter.parse('name,email\nA,a@example.com\n'), null);
+});
+
+console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,64 @@
+// Table-driven checks for receipt line item validation:
+//   node tests/unit/validator.test.js
+const assert = require('assert');
+const Validator = require('../../utils/validator');
+const { LIMITS } = require('../../config/constants');
+
+// [items, receipt total, expected result]
+const TOTAL_CASES = [
+    [[{ line_total: 50 }, { line_total: 40 }], 90, { itemsTotal: 90, difference: 0, matches: true }],
+    [[{ line_total: '99.5' }], 100, { itemsTotal: 99.5, difference: 0.5, matches: true }],
+
+    // Tolerance is ₹1 or 1% of the total, whichever is larger
+    [[{ line_total: 1000 }], 1008, { itemsTotal: 1000, difference: 8, matches: true }],
+    [[{ line_total: 1000 }], 1011, { itemsTotal: 1000, difference: 11, matches: false }],
+    [[{ line_total: 50 }, { line_total: 40 }], 100, { itemsTotal: 90, difference: 10, matches: false }],
+    [[{ line_total: 120 }], 100, { itemsTotal: 120, difference: -20, matches: false }],
+
+    // An item without a price means the sum can't be trusted
+    [[{ line_total: 50 }, { line_total: null }], 50, { itemsTotal: 50, difference: 0, matches: false }],
+
+    // Nothing to compare
+    [[{ line_total: null }], 50, null],
+    [[], 10, null],
+    [null, 5, null]
+];
+
+// [items, expected errors]
+const VALIDATE_CASES = [
+    [[{ name: 'Milk', quantity: 2, unit_price: 25, line_total: 50 }], []],
+    [[{ name: 'Milk', quantity: null, unit_price: null, line_total: null }], []],
+    [[{ quantity: 1 }], ['Item 1: name is required']],
+    [[{ name: 'Milk', quantity: -1 }], ['Item 1: invalid quantity']],
+    [[{ name: 'Milk', line_total: 'abc' }], ['Item 1: invalid line total']],
+    ['Milk', ['Items must be a list']],
+    [Array.from({ length: LIMITS.MAX_ITEMS_COUNT + 1 }, () => ({ name: 'Milk' })), [`Too many items (max ${LIMITS.MAX_ITEMS_COUNT})`]]
+];
+
+let failures = 0;
+let passed = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failures++;
+        console.error(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+}
+
+for (const [items, total, expected] of TOTAL_CASES) {
+    check(`checkLineItemTotals(${JSON.stringify(items)}, ${total})`, () => {
+        assert.deepStrictEqual(Validator.checkLineItemTotals(items, total), expected);
+    });
+}
+
+for (const [items, expected] of VALIDATE_CASES) {
+    check(`validateLineItems(${JSON.stringify(items).substring(0, 80)})`, () => {
+        assert.deepStrictEqual(Validator.validateLineItems(items), expected);
+    });
+}
+
+console.log(`\n${failures === 0 ? '✅' : '❌'} ${passed} passed, ${failures} failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,364 @@
+// Date helpers that work on plain 'YYYY-MM-DD' strings in a user's timezone.
+// Calendar arithmetic is done in UTC so it never shifts across DST or server timezone.
+
+const TIMEZONE_ALIASES = {
+    ist: 'Asia/Kolkata',
+    india: 'Asia/Kolkata',
+    gmt: 'UTC',
+    utc: 'UTC'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'];
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Single-date forms accepted inside periods and ranges
+const DATE_PATTERNS = [
+    { regex: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, build: m => ({ year: +m[1], month: +m[2] - 1, day: +m[3] }) },
+    { regex: new RegExp(`^${DAY}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?$`), build: m => ({ day: +m[1], month: monthIndex(m[2]), year: m[3] ? +m[3] : null }) },
+    { regex: new RegExp(`^${MONTH}\\s+${DAY}(?:,?\\s+(\\d{4}))?$`), build: m => ({ day: +m[2], month: monthIndex(m[1]), year: m[3] ? +m[3] : null }) },
+    // Day first, as written in India: 1/10 is 1 October
+    { regex: /^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/, build: m => ({ day: +m[1], month: +m[2] - 1, year: m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : null }) }
+];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Weeks run Monday to Sunday
+const WEEK_START_DAY = 1;
+
+function monthIndex(word) {
+    if (!word) return -1;
+    const lower = word.toLowerCase();
+    return MONTHS.findIndex(m => m.startsWith(lower.substring(0, 3)));
+}
+
+function titleCase(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+class DateUtils {
+    static normalizeTimezone(timezone) {
+        if (!timezone) return null;
+        let candidate = TIMEZONE_ALIASES[timezone.toLowerCase()] || timezone;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+        } catch (error) {
+            return null;
+        }
+
+        // Intl ignores case, but store the conventional spelling: "asia/kolkata" -> "Asia/Kolkata"
+        if (candidate === candidate.toLowerCase()) {
+            candidate = candidate.replace(/(^|[/_])([a-z])/g, (m, sep, letter) => sep + letter.toUpperCase());
+        }
+        return candidate;
+    }
+
+    static isValidTimezone(timezone) {
+        return this.normalizeTimezone(timezone) !== null;
+    }
+
+    // Calendar date of an instant in the given timezone, as 'YYYY-MM-DD'
+    static toLocalDate(instant, timezone = 'UTC') {
+        const tz = this.normalizeTimezone(timezone) || 'UTC';
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: tz,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(instant);
+
+        const get = type => parts.find(p => p.type === type).value;
+        return `${get('year')}-${get('month')}-${get('day')}`;
+    }
+
+    static today(timezone = 'UTC') {
+        return this.toLocalDate(new Date(), timezone);
+    }
+
+    static parse(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    static format(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    static addDays(dateStr, days) {
+        const date = this.parse(dateStr);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.format(date);
+    }
+
+    static addMonths(dateStr, months) {
+        const date = this.parse(dateStr);
+        const day = date.getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + months);
+        // Clamp to the end of shorter months (31 Mar - 1 month = 28/29 Feb)
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(day, lastDay));
+        return this.format(date);
+    }
+
+    // Number of calendar days from start to end, counting both
+    static daysBetween(start, end) {
+        return Math.round((this.parse(end) - this.parse(start)) / 86400000) + 1;
+    }
+
+    static startOfMonth(dateStr) {
+        return `${dateStr.substring(0, 7)}-01`;
+    }
+
+    static endOfMonth(dateStr) {
+        return this.addDays(this.addMonths(this.startOfMonth(dateStr), 1), -1);
+    }
+
+    static startOfWeek(dateStr) {
+        const offset = (this.parse(dateStr).getUTCDay() - WEEK_START_DAY + 7) % 7;
+        return this.addDays(dateStr, -offset);
+    }
+
+    static lastDayOfMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    /**
+     * Reads a date as written in bank statements: "05/10/2025", "05-10-25", "05 Oct 2025",
+     * "05-Oct-25" or "2025-10-05", optionally followed by a time.
+     * @param {string} text
+     * @param {string} [order] - 'dmy' (Indian statements) or 'mdy' for numeric dates
+     * @returns {string|null} 'YYYY-MM-DD', or null when it is not a real date
+     */
+    static parseStatementDate(text, order = 'dmy') {
+        if (!text) return null;
+        const value = String(text).trim().split(/\s+\d{1,2}:\d{2}/)[0];
+
+        let year, month, day;
+        let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+        if (match) {
+            [year, month, day] = [match[1], match[2] - 1, match[3]];
+        } else if ((match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+            [day, month] = order === 'mdy' ? [match[2], match[1]] : [match[1], match[2]];
+            month -= 1;
+            year = match[3];
+        } else if ((match = value.match(/^(\d{1,2})[-/\s]([a-z]{3,9})[-/\s,]+(\d{2}|\d{4})$/i))) {
+            [day, month, year] = [match[1], monthIndex(match[2]), match[3]];
+        } else {
+            return null;
+        }
+
+        year = parseInt(year, 10);
+        if (year < 100) year += 2000;
+        day = parseInt(day, 10);
+        if (month < 0 || month > 11 || day < 1 || day > this.lastDayOfMonth(year, month)) return null;
+
+        return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // 'mon', 'Monday' -> 1; -1 when not a weekday
+    static weekdayIndex(word) {
+        const lower = (word || '').toLowerCase();
+        return lower.length >= 3 ? WEEKDAYS.findIndex(d => d.startsWith(lower)) : -1;
+    }
+
+    static weekdayName(index) {
+        return titleCase(WEEKDAYS[index]);
+    }
+
+    static monthName(index) {
+        return titleCase(MONTHS[index]);
+    }
+
+    static monthIndex(word) {
+        return monthIndex(word);
+    }
+
+    /**
+     * First date strictly after `afterDate` that matches a repeating schedule.
+     * Days past the end of a month are clamped, so "31st" falls on 30 Apr and 28/29 Feb.
+     * @param {Object} schedule
+     * @param {string} schedule.frequency - daily | weekly | monthly | yearly
+     * @param {number} [schedule.day_of_week] - 0 (Sunday) to 6, for weekly
+     * @param {number} [schedule.day_of_month] - 1 to 31, for monthly and yearly
+     * @param {number} [schedule.month_of_year] - 0 to 11, for yearly
+     * @param {string} afterDate - 'YYYY-MM-DD'
+     */
+    static nextOccurrence(schedule, afterDate) {
+        const after = this.parse(afterDate);
+        const year = after.getUTCFullYear();
+        const month = after.getUTCMonth();
+        const build = (y, m) => this.format(new Date(Date.UTC(y, m, Math.min(schedule.day_of_month, this.lastDayOfMonth(y, m)))));
+
+        switch (schedule.frequency) {
+            case 'daily':
+                return this.addDays(afterDate, 1);
+            case 'weekly': {
+                const offset = ((schedule.day_of_week - after.getUTCDay() + 6) % 7) + 1;
+                return this.addDays(afterDate, offset);
+            }
+            case 'monthly': {
+                const candidate = build(year, month);
+                return candidate > afterDate ? candidate : build(month === 11 ? year + 1 : year, (month + 1) % 12);
+            }
+            case 'yearly': {
+                const candidate = build(year, schedule.month_of_year);
+                return candidate > afterDate ? candidate : build(year + 1, schedule.month_of_year);
+            }
+            default:
+                throw new Error(`Unknown frequency: ${schedule.frequency}`);
+        }
+    }
+
+    // "2025-10-01" -> "1 Oct 2025"
+    static formatDisplay(dateStr) {
+        const date = this.parse(dateStr);
+        const month = titleCase(MONTHS[date.getUTCMonth()].substring(0, 3));
+        return `${date.getUTCDate()} ${month} ${date.getUTCFullYear()}`;
+    }
+
+    static parseDateToken(token) {
+        const text = token.trim().toLowerCase();
+        if (text === 'today') return { offset: 0 };
+        if (text === 'yesterday') return { offset: -1 };
+
+        for (const { regex, build } of DATE_PATTERNS) {
+            const match = text.match(regex);
+            if (match) {
+                const date = build(match);
+                const valid = date.month >= 0 && date.month < 12 && date.day >= 1 && date.day <= 31;
+                return valid ? date : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parses a period phrase into a timezone-independent spec, resolved later with resolvePeriod.
+     * Accepts: today, yesterday, (this|last) week/month/year, last 3 months, september [2025],
+     * 2025, 1 oct, 1 oct to 15 oct, 2025-10-01 - 2025-10-15, 1/10 to 15/10.
+     * @param {string} text
+     * @returns {Object|null}
+     */
+    static parsePeriod(text) {
+        if (!text) return null;
+        const t = text.toLowerCase().trim().replace(/\s+/g, ' ').replace(/^the /, '');
+        let match;
+
+        if ((match = t.match(/^(today|yesterday)$/))) {
+            return { kind: 'day', offset: match[1] === 'today' ? 0 : -1 };
+        }
+        if ((match = t.match(/^(?:this |current )?(week|month|year)$/))) {
+            return { kind: match[1], offset: 0 };
+        }
+        if ((match = t.match(/^(?:last|previous|prev) (week|month|year)$/))) {
+            return { kind: match[1], offset: -1 };
+        }
+        if ((match = t.match(/^(?:last|past|previous) (\d{1,3}) (day|week|month|year)s?$/))) {
+            const count = parseInt(match[1], 10);
+            return count > 0 ? { kind: 'rolling', unit: match[2], count } : null;
+        }
+        if ((match = t.match(/^(\d{4})$/))) {
+            return { kind: 'year', year: parseInt(match[1], 10) };
+        }
+        if ((match = t.match(new RegExp(`^${MONTH}(?:,? (\\d{4}))?$`)))) {
+            return { kind: 'named-month', month: monthIndex(match[1]), year: match[2] ? parseInt(match[2], 10) : null };
+        }
+        if ((match = t.match(/^(?:from |between )?(.+?)(?: (?:to|till|until|and) | ?– ?| - )(.+)$/))) {
+            const from = this.parseDateToken(match[1]);
+            const to = this.parseDateToken(match[2]);
+            return from && to ? { kind: 'range', from, to } : null;
+        }
+
+        const single = this.parseDateToken(t.replace(/^on /, ''));
+        return single ? { kind: 'range', from: single, to: single } : null;
+    }
+
+    /**
+     * Turns a spec from parsePeriod into concrete dates relative to the user's today.
+     * @param {Object} spec
+     * @param {string} today - 'YYYY-MM-DD' in the user's timezone
+     * @returns {{start: string, end: string, label: string}|null} inclusive bounds
+     */
+    static resolvePeriod(spec, today) {
+        if (!spec) return null;
+        const currentYear = parseInt(today.substring(0, 4), 10);
+
+        switch (spec.kind) {
+            case 'day': {
+                const day = this.addDays(today, spec.offset);
+                return { start: day, end: day, label: spec.offset === 0 ? 'Today' : 'Yesterday' };
+            }
+            case 'week': {
+                const start = this.addDays(this.startOfWeek(today), 7 * spec.offset);
+                return { start, end: this.addDays(start, 6), label: spec.offset === 0 ? 'This Week' : 'Last Week' };
+            }
+            case 'month': {
+                const start = this.addMonths(this.startOfMonth(today), spec.offset);
+                return { start, end: this.endOfMonth(start), label: spec.offset === 0 ? 'This Month' : 'Last Month' };
+            }
+            case 'year': {
+                const year = spec.year || currentYear + spec.offset;
+                const label = spec.year ? `${year}` : (spec.offset === 0 ? 'This Year' : 'Last Year');
+                return { start: `${year}-01-01`, end: `${year}-12-31`, label };
+            }
+            case 'rolling': {
+                let start;
+                if (spec.unit === 'day') start = this.addDays(today, -(spec.count - 1));
+                else if (spec.unit === 'week') start = this.addDays(today, -(7 * spec.count - 1));
+                else if (spec.unit === 'month') start = this.addDays(this.addMonths(today, -spec.count), 1);
+                else start = this.addDays(this.addMonths(today, -12 * spec.count), 1);
+                const unit = spec.count === 1 ? spec.unit : `${spec.unit}s`;
+                return { start, end: today, label: `Last ${spec.count} ${titleCase(unit)}` };
+            }
+            case 'named-month': {
+                const currentMonth = parseInt(today.substring(5, 7), 10) - 1;
+                // Without a year, "september" means the most recent September
+                const year = spec.year || (spec.month > currentMonth ? currentYear - 1 : currentYear);
+                const start = `${year}-${String(spec.month + 1).padStart(2, '0')}-01`;
+                return { start, end: this.endOfMonth(start), label: `${titleCase(MONTHS[spec.month])} ${year}` };
+            }
+            case 'range': {
+                const fromYear = spec.from.year || spec.to.year || null;
+                const start = this.resolveDate(spec.from, today, fromYear);
+                if (!start) return null;
+
+                let end = this.resolveDate(spec.to, today, spec.to.year || parseInt(start.substring(0, 4), 10));
+                if (!end) return null;
+                // "20 dec to 5 jan" crosses into the next year
+                if (end < start && !spec.to.year && spec.to.offset === undefined) {
+                    end = this.resolveDate(spec.to, today, parseInt(end.substring(0, 4), 10) + 1);
+                }
+                if (end < start) return null;
+
+                const label = start === end
+                    ? this.formatDisplay(start)
+                    : `${this.formatDisplay(start)} – ${this.formatDisplay(end)}`;
+                return { start, end, label };
+            }
+            default:
+                return null;
+        }
+    }
+
+    static resolveDate(date, today, year) {
+        if (date.offset !== undefined) return this.addDays(today, date.offset);
+
+        const build = y => {
+            const candidate = new Date(Date.UTC(y, date.month, date.day));
+            // Reject dates that roll over, like 31 Feb
+            return candidate.getUTCMonth() === date.month ? this.format(candidate) : null;
+        };
+
+        if (year) return build(year);
+
+        // No year given: the most recent occurrence that is not in the future
+        const currentYear = parseInt(today.substring(0, 4), 10);
+        const thisYear = build(currentYear);
+        return thisYear && thisYear <= today ? thisYear : build(currentYear - 1);
+    }
+}
+
+module.exports = DateUtils;
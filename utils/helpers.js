@@ -1,4 +1,12 @@
 const logger = require('./logger');
+const { CATEGORY_KEYWORDS, MERCHANT_KEYWORDS, INCOME_CATEGORIES, CATEGORY_SEPARATOR } = require('../config/constants');
+
+const MAX_TAG_LENGTH = 30;
+
+// "₹1,250", "rs.250", "1.5k", "2 lakh", "300 rupees", "250/-"
+const AMOUNT_PATTERN = /(?:(₹|\brs\.?|\binr\b)\s*|(?<![\w.,]))(\d{1,3}(?:,\d{2,3})+|\d+)(\.\d+)?(?:(k|l)\b|\s*(thousand|lakhs?|lacs?|lakh|crores?|cr)\b)?(?:\s*(rs\b\.?|rupees?\b|inr\b|\/-))?/gi;
+
+const MULTIPLIERS = { k: 1000, thousand: 1000, l: 100000, lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000, cr: 10000000, crore: 10000000, crores: 10000000 };
 
 class Helpers {
     static formatCurrency(amount, currency = 'USD') {
@@ -70,13 +78,132 @@ class Helpers {
     }
 
     static parseAmount(text) {
-        // Extract number from text like "$25.50", "25.50", "twenty five", etc.
-        const matches = text.match(/[\d,]+\.?\d*/g);
-        if (matches) {
-            const amount = parseFloat(matches[0].replace(/,/g, ''));
-            return isNaN(amount) ? null : amount;
+        // First amount in text like "₹25.50", "25.50", "2k" or "1.5 lakh"
+        const [first] = this.findAmounts(text);
+        return first ? first.value : null;
+    }
+
+    /**
+     * Finds every amount in a message, in order.
+     * @returns {{value: number, index: number, length: number, marked: boolean}[]} marked is true when
+     *   a currency sign, "rupees" or a multiplier like "k" shows the number is money
+     */
+    static findAmounts(text) {
+        if (!text) return [];
+        return [...String(text).matchAll(AMOUNT_PATTERN)].map(match => {
+            const [raw, prefix, whole, fraction, shortUnit, longUnit, suffix] = match;
+            const unit = (shortUnit || longUnit || '').toLowerCase();
+            const value = parseFloat(`${whole.replace(/,/g, '')}${fraction || ''}`) * (MULTIPLIERS[unit] || 1);
+            return {
+                value: Math.round(value * 100) / 100,
+                index: match.index,
+                length: raw.trimEnd().length,
+                marked: Boolean(prefix || unit || suffix)
+            };
+        });
+    }
+
+    // A statement amount cell: "1,234.50", "₹ 1,234.50 Dr", "(250.00)" -> { value, hint };
+    // hint is 'debit', 'credit' or null, and null is returned for blank or zero cells
+    static parseStatementAmount(text) {
+        if (text === undefined || text === null) return null;
+        let value = String(text).trim();
+        if (!value) return null;
+
+        let hint = null;
+        const suffix = value.match(/\s*\b(dr|cr)\.?$/i);
+        if (suffix) {
+            hint = suffix[1].toLowerCase() === 'dr' ? 'debit' : 'credit';
+            value = value.slice(0, suffix.index);
+        }
+
+        // Currency marks go first, so the dot of "Rs." is not read as a decimal point
+        value = value.replace(/₹|\brs\.?|\binr\b/gi, '').trim();
+
+        // "(250.00)", "-250.00" and "250.00-" are negative; a hyphen inside the text is not
+        const negative = /^\(.*\)$/.test(value) || /^-|-$/.test(value);
+        const number = value.match(/\d[\d,]*(?:\.\d+)?/);
+        const amount = number ? parseFloat(number[0].replace(/,/g, '')) : NaN;
+        if (isNaN(amount) || amount === 0) return null;
+
+        return { value: negative ? -amount : amount, hint };
+    }
+
+    static levenshtein(a, b) {
+        // Edit distance between two strings, used for "did you mean" suggestions
+        if (a === b) return 0;
+        if (!a) return b.length;
+        if (!b) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost
+                );
+            }
+            previous = current;
         }
-        return null;
+        return previous[b.length];
+    }
+
+    // Best category guess from known merchant names and category keywords, or null
+    static guessCategory(text) {
+        if (!text) return null;
+        const lower = text.toLowerCase();
+        const hasWord = word => new RegExp(`\\b${word}\\b`).test(lower);
+
+        const merchant = Object.keys(MERCHANT_KEYWORDS).find(hasWord);
+        if (merchant) return MERCHANT_KEYWORDS[merchant];
+
+        const entry = Object.entries(CATEGORY_KEYWORDS)
+            .find(([category, words]) => [category, ...words].some(hasWord));
+        return entry ? entry[0] : null;
+    }
+
+    // 'income' when the parser said so or the category is an income category, otherwise 'expense'
+    static directionOf(expenseData) {
+        return expenseData.direction === 'income' || this.isIncomeCategory(expenseData.category)
+            ? 'income'
+            : 'expense';
+    }
+
+    // Salary, income and their subcategories ("income > freelance")
+    static isIncomeCategory(category) {
+        return INCOME_CATEGORIES.includes(String(category || '').split(CATEGORY_SEPARATOR)[0]);
+    }
+
+    /**
+     * Pulls hashtags out of a message: "dinner 400 #Goa #friends" -> { text: 'dinner 400', tags: ['goa', 'friends'] }.
+     * Tags start with a letter, so "#2" or "item #4" stay in the text.
+     */
+    static extractTags(text) {
+        const tags = [];
+        const rest = (text || '').replace(/(^|\s)#(\p{L}[\p{L}\p{N}_-]*)/gu, (match, space, tag) => {
+            const normalized = tag.toLowerCase().substring(0, MAX_TAG_LENGTH);
+            if (!tags.includes(normalized)) tags.push(normalized);
+            return space;
+        });
+        return { text: rest.replace(/\s+/g, ' ').trim(), tags };
+    }
+
+    // ['goa', 'friends'] -> '#goa #friends'
+    static formatTags(tags) {
+        return (tags || []).map(tag => `#${tag}`).join(' ');
+    }
+
+    // Great-circle (haversine) distance between two coordinates, in meters
+    static distanceMeters(lat1, lon1, lat2, lon2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.sqrt(a));
     }
 
     static getDateRange(period) {
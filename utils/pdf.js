@@ -0,0 +1,35 @@
+const { PDFDocument } = require('pdf-lib');
+const logger = require('./logger');
+
+class PdfUtils {
+    /**
+     * Splits a PDF into single-page PDFs.
+     * Returns null when the file cannot be read (e.g. password protected), so callers can fall
+     * back to sending it whole.
+     * @param {Buffer} buffer
+     * @param {number} maxPages - Pages after this are dropped
+     * @returns {Promise<{pages: Buffer[], pageCount: number}|null>}
+     */
+    static async splitPages(buffer, maxPages) {
+        let source;
+        try {
+            source = await PDFDocument.load(buffer);
+        } catch (error) {
+            logger.warn(`Could not read PDF for splitting: ${error.message}`);
+            return null;
+        }
+
+        const pageCount = source.getPageCount();
+        const pages = [];
+        for (let index = 0; index < Math.min(pageCount, maxPages); index++) {
+            const single = await PDFDocument.create();
+            const [page] = await single.copyPages(source, [index]);
+            single.addPage(page);
+            pages.push(Buffer.from(await single.save()));
+        }
+
+        return { pages, pageCount };
+    }
+}
+
+module.exports = PdfUtils;
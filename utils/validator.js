@@ -1,10 +1,8 @@
 const logger = require('./logger');
+const { DEFAULT_CATEGORIES, LIMITS } = require('../config/constants');
 
-// Define constants internally if not available in config yet, or we can update config later
-const VALID_CATEGORIES = [
-    'food', 'transport', 'shopping', 'entertainment',
-    'healthcare', 'utilities', 'other', 'rent', 'salary', 'income'
-];
+// The default categories; callers that know the user pass their full list instead
+const VALID_CATEGORIES = DEFAULT_CATEGORIES.map(category => category.name);
 
 class Validator {
     static validatePhone(phone) {
@@ -24,9 +22,13 @@ class Validator {
         return !isNaN(num) && num > 0 && num < 10000000;
     }
 
-    static validateCategory(category) {
+    /**
+     * @param {string} category
+     * @param {string[]} [categories] - The user's category names, from services/categories.js
+     */
+    static validateCategory(category, categories = VALID_CATEGORIES) {
         if (!category) return false;
-        return VALID_CATEGORIES.includes(category.toLowerCase());
+        return categories.includes(category.toLowerCase());
     }
 
     static validateDate(dateString) {
@@ -47,7 +49,7 @@ class Validator {
             date >= twoYearsAgo;
     }
 
-    static validateExpenseData(expenseData) {
+    static validateExpenseData(expenseData, categories = VALID_CATEGORIES) {
         const errors = [];
 
         if (!expenseData) {
@@ -60,8 +62,12 @@ class Validator {
         }
 
         // Optional category validation - if provided, must be valid. If missing, logic elsewhere sets default.
-        if (expenseData.category && !this.validateCategory(expenseData.category)) {
-            errors.push(`Invalid category. Valid: ${VALID_CATEGORIES.join(', ')}`);
+        if (expenseData.category && !this.validateCategory(expenseData.category, categories)) {
+            errors.push(`Invalid category. Valid: ${categories.join(', ')}`);
+        }
+
+        if (expenseData.direction && !['expense', 'income'].includes(expenseData.direction)) {
+            errors.push('Invalid direction: must be expense or income');
         }
 
         if (expenseData.date && !this.validateDate(expenseData.date)) {
@@ -76,9 +82,54 @@ class Validator {
             errors.push('Merchant name too long (max 100 chars)');
         }
 
+        if (expenseData.items) {
+            errors.push(...this.validateLineItems(expenseData.items));
+        }
+
+        return errors;
+    }
+
+    static validateLineItems(items) {
+        const errors = [];
+
+        if (!Array.isArray(items)) {
+            return ['Items must be a list'];
+        }
+        if (items.length > LIMITS.MAX_ITEMS_COUNT) {
+            errors.push(`Too many items (max ${LIMITS.MAX_ITEMS_COUNT})`);
+        }
+
+        items.forEach((item, i) => {
+            if (!item || !item.name) {
+                errors.push(`Item ${i + 1}: name is required`);
+            }
+            ['quantity', 'unit_price', 'line_total'].forEach(field => {
+                if (item && item[field] !== null && item[field] !== undefined && !(parseFloat(item[field]) >= 0)) {
+                    errors.push(`Item ${i + 1}: invalid ${field.replace('_', ' ')}`);
+                }
+            });
+        });
+
         return errors;
     }
 
+    /**
+     * Compares the sum of line totals with the receipt total. Tax, tips and discounts
+     * often explain a gap, so callers should warn rather than reject.
+     * @returns {{itemsTotal: number, difference: number, matches: boolean}|null} null when no line totals are known
+     */
+    static checkLineItemTotals(items, total) {
+        const priced = (items || []).filter(item => item.line_total !== null && item.line_total !== undefined);
+        if (priced.length === 0) return null;
+
+        const itemsTotal = priced.reduce((sum, item) => sum + parseFloat(item.line_total), 0);
+        const difference = Math.round((parseFloat(total) - itemsTotal) * 100) / 100;
+        // Allow rounding: ₹1 or 1% of the total, whichever is larger
+        const tolerance = Math.max(1, parseFloat(total) * 0.01);
+
+        return { itemsTotal, difference, matches: priced.length === items.length && Math.abs(difference) <= tolerance };
+    }
+
     static sanitizeText(text) {
         if (!text || typeof text !== 'string') return '';
 
@@ -112,4 +163,6 @@ class Validator {
     }
 }
 
+Validator.VALID_CATEGORIES = VALID_CATEGORIES;
+
 module.exports = Validator;